@@ -4,7 +4,7 @@
  *
  * Generates:
  *   area/mie/index.html           - Hub page (enhanced area.html)
- *   area/mie/{city}/index.html    - City pages × 7
+ *   area/mie/{city}/index.html    - City pages (one per data/areas.json entry)
  *   knowledge/{id}/index.html     - Knowledge articles × N
  *   knowledge/index.html          - Knowledge hub page
  *   sitemap.xml                   - Auto-generated sitemap
@@ -15,6 +15,12 @@ import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 import { minify } from 'terser';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { FLOOD_DEPTH_BANDS } from './lib/flood-depth.mjs';
+import { createHazardAnnotator } from './lib/hazard-annotate.mjs';
+import { loadDistrictCoords, loadDistrictOverrides, usableDistrictCoords } from './lib/district-coords.mjs';
+import { validateStationData, createStationIndex } from './lib/stations.mjs';
+import { COMMUTE_DESTINATIONS } from './lib/commute.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -25,7 +31,10 @@ const ROOT = join(__dirname, '..');
 const cityData = JSON.parse(readFileSync(join(ROOT, 'scripts/city-data.json'), 'utf-8'));
 const knowledgeData = JSON.parse(readFileSync(join(ROOT, 'scripts/knowledge-data.json'), 'utf-8'));
 const buildersData = JSON.parse(readFileSync(join(ROOT, 'scripts/builders-data.json'), 'utf-8')).builders;
-const areaHtml = readFileSync(join(ROOT, 'scripts/area-template.html'), 'utf-8');
+const areaHtml = applyMcpEnvOverrides(inlineLibModules(readFileSync(join(ROOT, 'scripts/area-template.html'), 'utf-8')));
+
+// Station master (required — versioned in data/stations.json)
+const stationData = JSON.parse(readFileSync(join(ROOT, 'data/stations.json'), 'utf-8'));
 
 // Events data (optional)
 const eventsDataPath = join(ROOT, 'scripts/events-data.json');
@@ -39,6 +48,40 @@ const mlitHazard = existsSync(mlitHazardPath)
   ? JSON.parse(readFileSync(mlitHazardPath, 'utf-8'))
   : null;
 
+// Cities that have published trades (the pages fetch live-data.json at runtime; read here only to report gaps)
+const liveDataPath = join(ROOT, 'data/live-data.json');
+const liveDataCityIds = existsSync(liveDataPath)
+  ? Object.keys(JSON.parse(readFileSync(liveDataPath, 'utf-8')).areas || {})
+  : [];
+
+// Hazard-zone polygons (optional — written by fetch-mlit-data.mjs)
+const hazardZonesPath = join(ROOT, 'data/hazard-zones.json');
+const hazardZones = existsSync(hazardZonesPath)
+  ? JSON.parse(readFileSync(hazardZonesPath, 'utf-8'))
+  : null;
+
+// Geocoded transaction districts (optional — written by geocode-districts.mjs, manual overrides applied)
+// { '四日市市-曙町': [lat, lng] } — same keys and shape as the page's DISTRICT_CACHE
+const districtCoords = usableDistrictCoords(loadDistrictCoords(), loadDistrictOverrides());
+
+// Quality-adjusted land price estimates (optional — written by fit-hedonic.mjs)
+const hedonicPath = join(ROOT, 'data/hedonic-estimates.json');
+const hedonic = existsSync(hedonicPath)
+  ? JSON.parse(readFileSync(hedonicPath, 'utf-8'))
+  : null;
+
+// Land price summary (optional — written by fetch-land-price.mjs)
+const landPricePath = join(ROOT, 'data/land-price.json');
+const landPrice = existsSync(landPricePath)
+  ? JSON.parse(readFileSync(landPricePath, 'utf-8'))
+  : null;
+
+// Latest batch diff (optional — written by fetch-data.mjs once two snapshots exist)
+const latestDiffPath = join(ROOT, 'data/snapshots/latest-diff.json');
+const latestDiff = existsSync(latestDiffPath)
+  ? JSON.parse(readFileSync(latestDiffPath, 'utf-8'))
+  : null;
+
 const DOMAIN = 'https://research.chuumon-soudan.com';
 const TODAY = new Date().toISOString().split('T')[0];
 
@@ -48,19 +91,67 @@ const NOINDEX_BUILDER_IDS = new Set([
   'panasonic-homes', 'sumitomo-ringyo', 'ichijo-koumuten'
 ]);
 
-const CITIES = [
-  { id: 'yokkaichi', name: '四日市市' },
-  { id: 'kuwana',    name: '桑名市' },
-  { id: 'suzuka',    name: '鈴鹿市' },
-  { id: 'inabe',     name: 'いなべ市' },
-  { id: 'kameyama',  name: '亀山市' },
-  { id: 'komono',    name: '菰野町' },
-  { id: 'toin',      name: '東員町' },
-];
+// Target areas from the shared registry (data/areas.json)
+const areaRegistry = loadAreaRegistry();
+const CITIES = areaRegistry.areas.map(({ id, name, slug }) => ({ id, name, slug }));
+
+const stationErrors = validateStationData(stationData, areaRegistry.areas.map(a => a.id));
+// Commute destinations ride from their nearest station in the master — a renamed station must not drop them
+const stationIndex = createStationIndex(stationData.stations);
+for (const d of COMMUTE_DESTINATIONS) {
+  if (d.station && !stationIndex.find(d.station)) stationErrors.push(`commute destination ${d.id}: station "${d.station}" not found`);
+}
+if (stationErrors.length > 0) throw new Error(`data/stations.json:\n  ${stationErrors.join('\n  ')}`);
+
+/** Public URL path of a city page (by area id) */
+// Area list used in hub/about copy: "四日市・桑名・…" and "三重県北部・中部11エリア"
+const AREA_SHORT_NAMES = CITIES.map(c => c.name.replace(/[市町]$/, '')).join('・');
+const AREA_FULL_NAMES = CITIES.map(c => c.name).join('・');
+const AREA_SCOPE = `三重県北部・中部${CITIES.length}エリア`;
+
+function cityUrl(cityId) {
+  const city = CITIES.find(c => c.id === cityId);
+  return `/area/mie/${city ? city.slug : cityId}/`;
+}
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
+// ---------------------------------------------------------------------------
+// Inline shared ES modules (scripts/lib/*.mjs) into the area template.
+// A line `// @inline scripts/lib/foo.mjs` is replaced by the module source
+// with import lines removed and `export` keywords stripped, so the browser
+// runs exactly the same code as the Node batch scripts.
+// ---------------------------------------------------------------------------
+function inlineLibModules(html) {
+  return html.replace(/^\/\/ @inline (scripts\/lib\/[\w-]+\.mjs)$/gm, (_, relPath) => {
+    const src = readFileSync(join(ROOT, relPath), 'utf-8');
+    return src
+      .replace(/^import .*;$/gm, '')
+      .replace(/^export (?=(?:async )?function |class |const |let )/gm, '');
+  });
+}
+
+// ---------------------------------------------------------------------------
+// MCP endpoint overrides for local builds (e.g. scripts/mock-mcp-server.mjs).
+// MCP_PROXY_URL (empty string = connect directly) and MCP_REINFO_URL replace
+// the CONFIG values; setting MCP_REINFO_URL also switches the page to live
+// MCP fetching instead of data/live-data.json.
+// ---------------------------------------------------------------------------
+function applyMcpEnvOverrides(html) {
+  const { MCP_PROXY_URL, MCP_REINFO_URL } = process.env;
+  if (MCP_PROXY_URL !== undefined) {
+    html = html.replace(/^(  PROXY_URL: )'[^']*'/m, (_, key) => key + JSON.stringify(MCP_PROXY_URL));
+  }
+  if (MCP_REINFO_URL !== undefined) {
+    html = html
+      .replace(/^(  MCP_REINFO: )'[^']*'/m, (_, key) => key + JSON.stringify(MCP_REINFO_URL))
+      .replace(/^(  LIVE_MCP: )false/m, '$1true');
+    console.log(`  ⚙ MCP endpoint override: ${MCP_REINFO_URL} (proxy: ${MCP_PROXY_URL || 'none'})`);
+  }
+  return html;
+}
+
 function ensureDir(dir) {
   if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
 }
@@ -136,29 +227,126 @@ const GLOBAL_HEADER_CSS = `
 `;
 
 // ---------------------------------------------------------------------------
-// DPF data injection into AREAS array and SHELTER_DATA constant
+// Area registry injection (AREA_REGISTRY constant in the template)
 // ---------------------------------------------------------------------------
+function injectAreaRegistry(html) {
+  const registryJson = JSON.stringify({
+    prefCode: areaRegistry.prefCode,
+    prefName: areaRegistry.prefName,
+    bbox: areaRegistry.bbox,
+    areas: areaRegistry.areas.map(({ id, slug, name, jisCode, lat, lng }) => ({ id, slug, name, jisCode, lat, lng })),
+  });
+  return html.replace(
+    "const AREA_REGISTRY = { prefCode: '24', areas: [] };",
+    () => `const AREA_REGISTRY = ${registryJson};`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Station master injection (STATION_DATA constant in the template)
+// ---------------------------------------------------------------------------
+function injectStationData(html) {
+  return html.replace(
+    "const STATION_DATA = { version: '', stations: [] };",
+    () => `const STATION_DATA = ${JSON.stringify({ version: stationData.version, stations: stationData.stations })};`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Land price injection into LAND_PRICE_DATA (overrides hand-typed AREA_PROFILES)
+// ---------------------------------------------------------------------------
+const LAND_PRICE_FIELDS = ['landPriceAvg', 'residentialPrice', 'commercialPrice', 'pricePerTsubo', 'yoyChange', 'trend'];
+
+function injectLandPriceData(html) {
+  if (!landPrice) return html;
+
+  const landObj = {};
+  for (const city of CITIES) {
+    const d = landPrice.areas?.[city.id];
+    if (!d) continue;
+    // Missing values (e.g. no 商業地 points) keep the profile's own figure
+    landObj[city.id] = Object.fromEntries(
+      LAND_PRICE_FIELDS.filter(k => d[k] != null).map(k => [k, d[k]])
+    );
+  }
+  return html.replace(
+    'const LAND_PRICE_DATA = {};',
+    () => `const LAND_PRICE_DATA = ${JSON.stringify(landObj)};`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Area registry for the property comparison page (index.html, rewritten in place)
+// ---------------------------------------------------------------------------
+// index.html is served as-is, so its `const AREAS = ...; // @area-registry` line is refreshed on every
+// build: hero / SEO / footer links, calculateBadge and SUUMO codes have the areas on first render.
+const INDEX_AREAS_LINE_RE = /^const AREAS = .*; \/\/ @area-registry$/m;
+
+// 坪単価 as shown on the area pages: land-price.json, else the template's AREA_PROFILES figure
+function areaPricePerTsubo(cityId) {
+  const fromLandPrice = landPrice?.areas?.[cityId]?.pricePerTsubo;
+  if (fromLandPrice != null) return fromLandPrice;
+  const m = areaHtml.match(new RegExp(`^  ${cityId}: \\{\\n[^}]*?pricePerTsubo: (\\d+)`, 'm'));
+  return m ? Number(m[1]) : null;
+}
+
+function updateIndexAreaRegistry() {
+  const path = join(ROOT, 'index.html');
+  const html = readFileSync(path, 'utf-8');
+  if (!INDEX_AREAS_LINE_RE.test(html)) throw new Error('index.html: `const AREAS = ...; // @area-registry` line not found');
+  const areas = areaRegistry.areas.map(({ id, name, slug, jisCode }) => ({ id, name, slug, jisCode, pricePerTsubo: areaPricePerTsubo(id) }));
+  const missing = areas.filter(a => a.pricePerTsubo == null).map(a => a.id);
+  if (missing.length > 0) throw new Error(`index.html: no 坪単価 for ${missing.join(', ')} (add it to AREA_PROFILES)`);
+  const updated = html.replace(INDEX_AREAS_LINE_RE, () => `const AREAS = ${JSON.stringify(areas)}; // @area-registry`);
+  if (updated !== html) writeFileSync(path, updated, 'utf-8');
+}
+
+// ---------------------------------------------------------------------------
+// DPF data injection into DPF_DATA and SHELTER_DATA constants
+// ---------------------------------------------------------------------------
+// Hazard-zone layers in mlit-hazard.json (order = display order)
+const HAZARD_LAYERS = [
+  { key: 'sediment', label: '土砂災害警戒区域', source: '土砂災害警戒区域（A33）' },
+  { key: 'tsunami', label: '津波浸水想定', source: '津波浸水想定（A40）' },
+  { key: 'stormSurge', label: '高潮浸水想定区域', source: '高潮浸水想定区域（A49）' },
+  { key: 'liquefaction', label: '液状化', source: '液状化' },
+];
+
+// Page-side hazard summary: counts, share and level only (polygons stay in the JSON)
+function hazardSummary(hazards) {
+  const out = {};
+  for (const { key } of HAZARD_LAYERS) {
+    const h = hazards?.[key];
+    if (!h) continue;
+    out[key] = { count: h.count, share: h.share, level: h.level };
+  }
+  return out;
+}
+
 function injectDpfData(html) {
   if (!mlitHazard) return html;
 
   const fbc = mlitHazard.facilitiesByCity || {};
 
-  // Inject DPF fields into each AREAS entry
+  // Inject DPF fields per city (merged into AREAS by the template)
+  const dpfObj = {};
   for (const city of CITIES) {
     const d = fbc[city.id];
     if (!d) continue;
-
-    const rivers = (d.floodRivers || []).map(r => `'${r.replace(/'/g, "\\'")}'`).join(',');
-    const riskLevel = (d.floodRiskLevel || '').replace(/'/g, "\\'");
-
-    // Replace the placeholder DPF fields for this city
-    html = html.replace(
-      new RegExp(
-        `(id:\\s*"${city.id}"[^}]*?)dpfShelterCount:\\s*0,\\s*dpfSchoolCount:\\s*0,\\s*dpfParkCount:\\s*0,\\s*dpfFloodRiskLevel:\\s*'',\\s*dpfFloodRivers:\\s*\\[\\]`
-      ),
-      `$1dpfShelterCount: ${d.evacuationShelterCount || 0}, dpfSchoolCount: ${d.schoolCount || 0}, dpfParkCount: ${d.parkCount || 0}, dpfFloodRiskLevel: '${riskLevel}', dpfFloodRivers: [${rivers}]`
-    );
+    dpfObj[city.id] = {
+      dpfShelterCount: d.evacuationShelterCount || 0,
+      dpfSchoolCount: d.schoolCount || 0,
+      dpfParkCount: d.parkCount || 0,
+      dpfFloodRiskLevel: d.floodRiskLevel || '',
+      dpfFloodRiskScore: d.floodRiskScore ?? null,
+      dpfFloodRivers: d.floodRivers || [],
+      dpfHazards: hazardSummary(d.hazards),
+    };
   }
+  html = html.replace(
+    'const DPF_DATA = {};',
+    () => `const DPF_DATA = ${JSON.stringify(dpfObj)};`
+  );
 
   // Inject SHELTER_DATA constant
   const shelterObj = {};
@@ -174,12 +362,62 @@ function injectDpfData(html) {
   const shelterJson = JSON.stringify(shelterObj);
   html = html.replace(
     'const SHELTER_DATA = {};',
-    `const SHELTER_DATA = ${shelterJson};`
+    () => `const SHELTER_DATA = ${shelterJson};`
   );
 
   return html;
 }
 
+// ---------------------------------------------------------------------------
+// Pre-computed district coordinates → DISTRICT_COORDS (seeds the page's DISTRICT_CACHE)
+// ---------------------------------------------------------------------------
+function injectDistrictCoords(html) {
+  if (Object.keys(districtCoords).length === 0) return html;
+  return html.replace(
+    'const DISTRICT_COORDS = {};',
+    () => `const DISTRICT_COORDS = ${JSON.stringify(districtCoords)};`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Hedonic estimates → HEDONIC_ESTIMATES (standardized 50-tsubo lot price per city / district)
+// ---------------------------------------------------------------------------
+function injectHedonicEstimates(html) {
+  if (!hedonic) return html;
+  const { model, cities, districts } = hedonic;
+  return html.replace(
+    'const HEDONIC_ESTIMATES = { model: null, cities: {}, districts: {} };',
+    () => `const HEDONIC_ESTIMATES = ${JSON.stringify({ model: { n: model.n, r2: model.r2, referenceQuarters: model.referenceQuarters, reference: model.reference }, cities, districts })};`
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Per-district hazard annotation → DISTRICT_HAZARDS (transactions are tagged by district in the page)
+// ---------------------------------------------------------------------------
+let districtHazardsCache = null;
+
+function buildDistrictHazards() {
+  if (districtHazardsCache) return districtHazardsCache;
+  districtHazardsCache = {};
+  if (Object.keys(districtCoords).length === 0 || !mlitHazard) return districtHazardsCache;
+
+  const shelters = Object.values(mlitHazard.facilitiesByCity || {}).flatMap(d => d.shelterList || []);
+  const annotate = createHazardAnnotator({ zones: hazardZones, shelters });
+  for (const [key, coords] of Object.entries(districtCoords)) {
+    districtHazardsCache[key] = annotate(coords[0], coords[1]);
+  }
+  return districtHazardsCache;
+}
+
+function injectDistrictHazards(html) {
+  const hazards = buildDistrictHazards();
+  if (Object.keys(hazards).length === 0) return html;
+  return html.replace(
+    'const DISTRICT_HAZARDS = {};',
+    () => `const DISTRICT_HAZARDS = ${JSON.stringify(hazards)};`
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Cost Simulator HTML (rendered as a section)
 // ---------------------------------------------------------------------------
@@ -505,7 +743,7 @@ function buildNeighborLinksHtml(cityId) {
   const links = cd.neighbors.map(nId => {
     const nc = cityData[nId];
     if (!nc) return '';
-    return `<a href="/area/mie/${nId}/" class="px-4 py-2 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-blue-50 hover:text-blue-700 hover:border-blue-300 transition-colors">${escHtml(nc.nameJa)}の注文住宅情報 →</a>`;
+    return `<a href="${cityUrl(nId)}" class="px-4 py-2 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-700 hover:bg-blue-50 hover:text-blue-700 hover:border-blue-300 transition-colors">${escHtml(nc.nameJa)}の注文住宅情報 →</a>`;
   }).filter(Boolean).join('');
 
   return `
@@ -530,9 +768,10 @@ function buildCitySeoDataJs() {
       checklist_notes: cd.checklist_notes || '',
       neighbors: (cd.neighbors || []).map(nId => {
         const nc = cityData[nId];
-        return nc ? { id: nId, name: nc.nameJa } : null;
+        return nc ? { id: nId, name: nc.nameJa, url: cityUrl(nId) } : null;
       }).filter(Boolean),
-      cityUrl: `/area/mie/${city.id}/`,
+      cityUrl: cityUrl(city.id),
+      weeklyChange: buildWeeklyChangeData(city.id),
     };
   }
   data._checklist = (cityData.checklist || []).map(item => ({
@@ -544,6 +783,52 @@ function buildCitySeoDataJs() {
 // ---------------------------------------------------------------------------
 // Static SEO content for city pages (visible to crawlers, hidden after JS loads)
 // ---------------------------------------------------------------------------
+// ---------------------------------------------------------------------------
+// "What changed this week" from the latest snapshot diff
+// ---------------------------------------------------------------------------
+function buildWeeklyChangeData(cityId) {
+  const d = latestDiff?.areas?.[cityId];
+  if (!latestDiff?.from || !d) return null;
+  return {
+    from: latestDiff.from,
+    to: latestDiff.to,
+    added: d.addedCount,
+    removed: d.removedCount,
+    countBefore: d.transactionCount.before,
+    countAfter: d.transactionCount.after,
+    avgBefore: d.avgTradePrice.before,
+    avgAfter: d.avgTradePrice.after,
+    avgChangePct: d.avgTradePrice.changePct,
+    newQuarters: d.quarters.added,
+  };
+}
+
+function formatManYen(yen) {
+  return yen != null ? `${Math.round(yen / 10000).toLocaleString()}万円` : '—';
+}
+
+function buildWeeklyChangeSection(cityId) {
+  const w = buildWeeklyChangeData(cityId);
+  if (!w) return '';
+  const cityName = CITIES.find(c => c.id === cityId).name;
+  const pct = w.avgChangePct != null ? `（${w.avgChangePct > 0 ? '+' : ''}${w.avgChangePct}%）` : '';
+
+  return `
+  <section class="seo-change-section">
+    <h2>📈 ${escHtml(cityName)}の取引データ 今週の変化</h2>
+    <p>${w.from} → ${w.to} の更新で、国土交通省 不動産情報ライブラリの取引データに以下の変化がありました。</p>
+    <table class="seo-disaster-table">
+      <tbody>
+        <tr><th>新規取引</th><td>+${w.added}件</td></tr>
+        <tr><th>削除された取引</th><td>-${w.removed}件</td></tr>
+        <tr><th>取引件数</th><td>${w.countBefore ?? '—'}件 → ${w.countAfter}件</td></tr>
+        <tr><th>平均取引価格</th><td>${formatManYen(w.avgBefore)} → ${formatManYen(w.avgAfter)}${pct}</td></tr>
+        ${w.newQuarters.length > 0 ? `<tr><th>新たに公開された四半期</th><td>${w.newQuarters.map(escHtml).join('、')}</td></tr>` : ''}
+      </tbody>
+    </table>
+  </section>`;
+}
+
 // ---------------------------------------------------------------------------
 // Disaster / safety section from MLIT DPF data
 // ---------------------------------------------------------------------------
@@ -561,7 +846,43 @@ function buildDisasterSection(cityId) {
 
   // Flood risk badge
   const riskLevel = d.floodRiskLevel || 'データなし';
-  const riskColor = riskLevel === '高' ? '#dc2626' : riskLevel === '中' ? '#f59e0b' : '#6b7280';
+  const riskColor = riskLevel === '高' ? '#dc2626' : riskLevel === '中' ? '#f59e0b' : riskLevel === '低' ? '#ca8a04' : '#6b7280';
+  const riskScore = d.floodRiskScore != null ? `（スコア ${d.floodRiskScore} / 100）` : '';
+
+  // Share of the city's land per inundation depth band (depth polygons only)
+  const depthHtml = d.floodDepth ? `
+    <p>想定最大規模の降雨で浸水が想定される範囲は市町の面積の${(d.floodDepth.inundatedShare * 100).toFixed(1)}%です。浸水深別の内訳:</p>
+    <table class="seo-disaster-table">
+      <thead><tr><th>浸水深</th><th>面積割合</th></tr></thead>
+      <tbody>
+        ${FLOOD_DEPTH_BANDS.map(b => `<tr><td>${b.label}</td><td>${((d.floodDepth.shares[b.key] || 0) * 100).toFixed(1)}%</td></tr>`).join('\n        ')}
+      </tbody>
+    </table>
+` : '';
+
+  // Hazard-zone layers (only when fetch-mlit-data produced them)
+  const hazardRows = HAZARD_LAYERS
+    .filter(({ key }) => d.hazards?.[key])
+    .map(({ key, label }) => {
+      const h = d.hazards[key];
+      const count = h.count != null ? `${h.count}区域` : '—';
+      const share = h.share != null ? `${(h.share * 100).toFixed(1)}%` : '—';
+      const zones = (h.polygons || []).map(p => `${escHtml(p.name || '名称なし')}（${p.areaKm2}km²）`).join('、');
+      return `<tr><td>${escHtml(label)}</td><td>${count}</td><td>${share}</td><td>${escHtml(h.level || 'データなし')}</td><td>${zones || '—'}</td></tr>`;
+    });
+  const hazardHtml = hazardRows.length > 0 ? `
+    <h3>土砂災害・津波・高潮・液状化</h3>
+    <p>市町の面積に占める各区域の割合です。区域内かどうかは地番単位で異なるため、候補地は必ず各市町のハザードマップで確認してください。</p>
+    <table class="seo-disaster-table">
+      <thead><tr><th>区域</th><th>区域数</th><th>面積割合</th><th>リスク</th><th>主な区域</th></tr></thead>
+      <tbody>
+        ${hazardRows.join('\n        ')}
+      </tbody>
+    </table>
+` : '';
+  const hazardSources = HAZARD_LAYERS
+    .filter(({ key }) => d.hazards?.[key])
+    .map(({ source }) => `・${source}`).join('');
 
   // Shelter count
   const shelterCount = d.evacuationShelterCount || 0;
@@ -574,9 +895,9 @@ function buildDisasterSection(cityId) {
     <p>国土交通省データプラットフォーム（DPF）のオープンデータに基づく、${escHtml(cityName)}の防災・公共施設情報です。注文住宅の土地選びでは、災害リスクと避難施設の充実度も重要な判断基準になります。</p>
 
     <h3>洪水浸水想定河川</h3>
-    <p>洪水リスクレベル: <span style="display:inline-block;padding:2px 10px;border-radius:4px;font-size:13px;font-weight:600;color:#fff;background:${riskColor};">${escHtml(riskLevel)}</span></p>
-    <ul>${riverHtml}</ul>
-
+    <p>洪水リスクレベル: <span style="display:inline-block;padding:2px 10px;border-radius:4px;font-size:13px;font-weight:600;color:#fff;background:${riskColor};">${escHtml(riskLevel)}</span>${riskScore}</p>
+${depthHtml}    <ul>${riverHtml}</ul>
+${hazardHtml}
     <h3>公共施設数</h3>
     <table class="seo-disaster-table">
       <thead><tr><th>施設種別</th><th>件数</th></tr></thead>
@@ -587,7 +908,7 @@ function buildDisasterSection(cityId) {
       </tbody>
     </table>
 
-    <p style="font-size:12px;color:#9ca3af;margin-top:12px;">出典: <a href="https://www.mlit-data.jp/" rel="noopener" style="color:#9ca3af;">国土交通省データプラットフォーム</a>（CC BY 4.0）洪水浸水想定区域（A31）・避難施設（P20）・学校（P02）・都市公園（P29）</p>
+    <p style="font-size:12px;color:#9ca3af;margin-top:12px;">出典: <a href="https://www.mlit-data.jp/" rel="noopener" style="color:#9ca3af;">国土交通省データプラットフォーム</a>（CC BY 4.0）洪水浸水想定区域（A31）${hazardSources}・避難施設（P20）・学校（P02）・都市公園（P29）</p>
     <p style="font-size:12px;color:#9ca3af;">詳しくは<a href="/knowledge/hazard-map/" style="color:#3b82f6;">ハザードマップの見方と活用法</a>をご覧ください。</p>
   </section>`;
 }
@@ -612,10 +933,16 @@ function buildStaticCityContent(cityId) {
 
   const neighborLinks = (cd.neighbors || []).map(nId => {
     const nc = cityData[nId];
-    return nc ? `<a href="/area/mie/${nId}/">${escHtml(nc.nameJa)}の注文住宅情報</a>` : '';
+    return nc ? `<a href="${cityUrl(nId)}">${escHtml(nc.nameJa)}の注文住宅情報</a>` : '';
   }).filter(Boolean).join(' | ');
 
   const seo = cd.seo_sections || {};
+  const cityBuilders = buildersData.filter(b => b.areas.includes(cityId));
+  const buildersHtml = cityBuilders.length > 0
+    ? `<ul>
+      ${cityBuilders.map(b => `<li><a href="/builders/${escHtml(b.id)}/">${escHtml(b.name)}</a>（坪${b.tsuboPrice.min}〜${b.tsuboPrice.max}万円）</li>`).join('\n      ')}
+    </ul>`
+    : `<p>${escHtml(cityName)}を対応エリアとして掲載しているハウスメーカー・工務店は現在準備中です。近隣エリアの対応会社もあわせてご確認ください。</p>`;
 
   return `
 <article id="seo-static" class="seo-static-content">
@@ -647,6 +974,8 @@ function buildStaticCityContent(cityId) {
     ${seo.common_mistakes ? `<p>${escHtml(seo.common_mistakes)}</p>` : ''}
   </section>
 
+  ${buildWeeklyChangeSection(cityId)}
+
   ${buildDisasterSection(cityId)}
 
   <section>
@@ -663,9 +992,7 @@ function buildStaticCityContent(cityId) {
   <section>
     <h2>${escHtml(cityName)}に対応するハウスメーカー・工務店</h2>
     <p>${escHtml(cityName)}エリアで注文住宅を建てられるハウスメーカー・工務店をご紹介します。</p>
-    <ul>
-      ${buildersData.filter(b => b.areas.includes(cityId)).map(b => `<li><a href="/builders/${escHtml(b.id)}/">${escHtml(b.name)}</a>（坪${b.tsuboPrice.min}〜${b.tsuboPrice.max}万円）</li>`).join('\n      ')}
-    </ul>
+    ${buildersHtml}
     <p><a href="/builders/">全${buildersData.length}社の一覧を見る →</a></p>
   </section>
 
@@ -686,11 +1013,11 @@ function buildStaticCityContent(cityId) {
 function buildStaticHubContent() {
   const cityLinksHtml = CITIES.map(c => {
     const cd2 = cityData[c.id];
-    return cd2 ? `<li><a href="/area/mie/${c.id}/"><strong>${escHtml(cd2.nameJa)}</strong></a>: ${escHtml(cd2.meta_description)}</li>` : '';
+    return cd2 ? `<li><a href="${cityUrl(c.id)}"><strong>${escHtml(cd2.nameJa)}</strong></a>: ${escHtml(cd2.meta_description)}</li>` : '';
   }).filter(Boolean).join('');
 
   const hubFaqs = [
-    { q: '三重県で注文住宅の土地相場はいくらですか？', a: '三重県北部7エリアの住宅地平均地価は約22,000〜53,700円/m²（坪単価8〜19万円）です。最も高いのは桑名市（坪18.4万円）、最も手頃なのはいなべ市（坪8.1万円）。名古屋通勤圏でも手頃な土地が見つかります。' },
+    { q: '三重県で注文住宅の土地相場はいくらですか？', a: `${AREA_SCOPE}の住宅地平均地価は約22,000〜53,700円/m²（坪単価7〜19万円）です。最も高いのは四日市市（坪18.8万円）、最も手頃なのは木曽岬町（坪7.6万円）。名古屋通勤圏でも手頃な土地が見つかります。` },
     { q: '三重県から名古屋への通勤は可能ですか？', a: '可能です。桑名市から名古屋駅まで近鉄急行で最短25分、四日市市から約35分。車でも東名阪自動車道で40分〜1時間程度。三重県北部は名古屋通勤圏として人気があります。' },
     { q: '三重県で注文住宅を建てる総費用の目安は？', a: '土地50坪＋建物35坪のスタンダードプラン（65万円/坪）の場合、エリアにより総額2,800〜4,200万円程度。いなべ市なら2,800万円台、桑名駅近なら4,000万円超も。当サイトの費用シミュレーターで詳細な試算が可能です。' },
     { q: '三重県で注文住宅を建てるメリットは？', a: '最大のメリットは土地代の安さです。全国平均の坪26万円に対し、三重県北部は坪8〜19万円。同じ予算なら広い土地を確保でき、建物のグレードアップや住宅性能の向上に資金を回せます。名古屋通勤圏でありながらゆとりある暮らしが実現します。' },
@@ -704,15 +1031,15 @@ function buildStaticHubContent() {
   const cityBriefHtml = CITIES.map(c => {
     const cd2 = cityData[c.id];
     if (!cd2) return '';
-    const prices = { yokkaichi: '坪18.8万円', kuwana: '坪18.4万円', suzuka: '坪13.6万円', inabe: '坪8.1万円', kameyama: '坪9.8万円', komono: '坪10.3万円', toin: '坪11.7万円' };
-    return `<li><a href="/area/mie/${c.id}/">${escHtml(cd2.nameJa)}</a>（${prices[c.id] || ''}）</li>`;
+    const prices = { yokkaichi: '坪18.8万円', kuwana: '坪18.4万円', suzuka: '坪13.6万円', inabe: '坪8.1万円', kameyama: '坪9.8万円', komono: '坪10.3万円', toin: '坪11.7万円', kisosaki: '坪7.6万円', asahi: '坪14.5万円', kawagoe: '坪15.5万円', tsu: '坪11.9万円' };
+    return `<li><a href="${cityUrl(c.id)}">${escHtml(cd2.nameJa)}</a>（${prices[c.id] || ''}）</li>`;
   }).filter(Boolean).join('');
 
   // --- #seo-static: H1+導入文（JS後非表示） ---
   const seoStatic = `
 <article id="seo-static" class="seo-static-content">
   <h1>三重県で注文住宅を建てるなら｜エリア別 土地相場・費用シミュレーター</h1>
-  <p>三重県北部で注文住宅を検討中の方へ。四日市・桑名・鈴鹿・いなべ・亀山・菰野・東員の7エリアの土地価格相場、費用シミュレーション、国土交通省の実取引データを比較して、理想の土地を見つけましょう。</p>
+  <p>三重県北部・中部で注文住宅を検討中の方へ。${AREA_SHORT_NAMES}の${CITIES.length}エリアの土地価格相場、費用シミュレーション、国土交通省の実取引データを比較して、理想の土地を見つけましょう。</p>
   <section>
     <h2>エリア別 注文住宅ガイド</h2>
     <ul>${cityLinksHtml}</ul>
@@ -844,6 +1171,10 @@ function buildStaticContentCss() {
   .seo-disaster-table th { background: #fef3c7; font-weight: 600; text-align: left; }
   .seo-disaster-table td { background: #fffbeb; }
 
+  /* --- Weekly Change Section --- */
+  .seo-change-section { margin-top: 32px; padding: 20px; background: #f0f9ff; border: 1px solid #bae6fd; border-radius: 12px; }
+  .seo-change-section h2 { border-bottom: 2px solid #38bdf8; color: #075985; }
+
   /* --- Area Guide (SEO static version, hidden by JS) --- */
   .area-guide { max-width: 800px; margin: 32px auto 0; padding: 0 16px 32px; font-family: 'Noto Sans JP', sans-serif; color: #374151; line-height: 1.8; }
   .area-guide-title { font-size: 1.3rem; font-weight: 700; color: #111827; margin-bottom: 16px; }
@@ -929,7 +1260,7 @@ function buildCityLinksSection() {
         ${CITIES.map(c => {
           const cd2 = cityData[c.id];
           return `
-            <a href="/area/mie/${c.id}/" class="block p-4 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-300 transition-all group">
+            <a href="${cityUrl(c.id)}" class="block p-4 border border-gray-200 rounded-lg hover:bg-blue-50 hover:border-blue-300 transition-all group">
               <div class="text-base font-bold text-gray-800 group-hover:text-blue-700">${c.name}</div>
               <div class="text-xs text-gray-500 mt-1">${cd2 ? escHtml(cd2.meta_description.substring(0, 60)) + '...' : ''}</div>
             </a>`;
@@ -942,7 +1273,7 @@ function buildCityLinksSection() {
 // Generate Hub Page (area/mie/index.html)
 // ---------------------------------------------------------------------------
 function generateHubPage() {
-  let html = injectDpfData(areaHtml);
+  let html = injectHedonicEstimates(injectDistrictCoords(injectDistrictHazards(injectDpfData(injectLandPriceData(injectStationData(injectAreaRegistry(areaHtml)))))));
 
   // 1. Update <title>
   html = html.replace(
@@ -971,7 +1302,7 @@ function generateHubPage() {
   // 5. Update meta description
   html = html.replace(
     /<meta name="description" content="[^"]*">/,
-    '<meta name="description" content="三重県で注文住宅を建てるなら、まずエリア別の土地相場を比較。四日市・桑名・鈴鹿・いなべ・亀山・菰野・東員の7エリアの費用シミュレーション、国土交通省の実取引データで理想の土地探しをサポートします。">'
+    `<meta name="description" content="三重県で注文住宅を建てるなら、まずエリア別の土地相場を比較。${AREA_SHORT_NAMES}の${CITIES.length}エリアの費用シミュレーション、国土交通省の実取引データで理想の土地探しをサポートします。">`
   );
 
   // 5b. Add og:image and update Twitter Card
@@ -989,7 +1320,7 @@ function generateHubPage() {
   );
   html = html.replace(
     /<meta name="twitter:description" content="[^"]*">/,
-    '<meta name="twitter:description" content="四日市・桑名・鈴鹿・いなべ・亀山・菰野・東員の7エリアの土地相場と費用を無料シミュレーション。国土交通省データに基づく注文住宅の土地探しツール。">'
+    `<meta name="twitter:description" content="${AREA_SHORT_NAMES}の${CITIES.length}エリアの土地相場と費用を無料シミュレーション。国土交通省データに基づく注文住宅の土地探しツール。">`
   );
 
   // 6. Update WebApplication structured data URL + enhance author
@@ -1049,8 +1380,8 @@ function generateHubPage() {
 
   // Add E-E-A-T badge to hub subtitle
   html = html.replace(
-    '<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>',
-    `<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>
+    '<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部・中部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>',
+    `<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部・中部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>
         <div style="display:flex;flex-wrap:wrap;gap:8px;margin-top:6px;">
           <span style="font-size:11px;color:#6b7280;background:#f3f4f6;padding:2px 8px;border-radius:4px;">📊 データ出典: <a href="https://www.reinfolib.mlit.go.jp/" style="color:#3b82f6;text-decoration:none;" rel="noopener">国土交通省 不動産情報ライブラリ</a></span>
           <span style="font-size:11px;color:#6b7280;background:#f3f4f6;padding:2px 8px;border-radius:4px;">✏️ 監修: <a href="/about/" style="color:#3b82f6;text-decoration:none;" rel="noopener">注文住宅比較.com</a> 編集部</span>
@@ -1127,7 +1458,7 @@ function generateHubPage() {
 
   // 11. Update footer with clean layout
   const hubFooterLinks = CITIES.map(c =>
-    `<a href="/area/mie/${c.id}/" style="color:#6b7280;text-decoration:none;font-size:12px;">${c.name}</a>`
+    `<a href="${cityUrl(c.id)}" style="color:#6b7280;text-decoration:none;font-size:12px;">${c.name}</a>`
   ).join(' <span style="color:#d1d5db;">·</span> ');
 
   html = html.replace(
@@ -1150,7 +1481,7 @@ function generateHubPage() {
 
   // 12. Add drawer menu city links
   const drawerCityLinks = CITIES.map(c =>
-    `<a href="/area/mie/${c.id}/" style="width:100%;text-align:left;padding:8px 16px;border-radius:8px;font-size:13px;background:#f0f9ff;color:#1e40af;border:none;text-decoration:none;display:block;">${c.name}</a>`
+    `<a href="${cityUrl(c.id)}" style="width:100%;text-align:left;padding:8px 16px;border-radius:8px;font-size:13px;background:#f0f9ff;color:#1e40af;border:none;text-decoration:none;display:block;">${c.name}</a>`
   ).join('\n          ');
 
   html = html.replace(
@@ -1182,7 +1513,7 @@ document.addEventListener('DOMContentLoaded', function() {
 // Guide modal
 var GUIDE_ITEMS = [
   { title: '\\u{1F3E1} 三重県が注文住宅に選ばれる理由', content: '<p>三重県北部は名古屋まで電車25〜50分の通勤圏でありながら、土地の坪単価は8〜19万円と全国平均（坪26万円）の1/3〜2/3。同じ4,000万円の予算でも、名古屋市内より300〜600万円分のゆとりが生まれます。</p><p>鈴鹿山脈から伊勢湾まで自然環境に恵まれ、子育て支援も充実。各市町村の医療費助成は15〜18歳までカバーされています。</p><p class="guide-modal-links">関連: <a href="/knowledge/mie-livability/">住みやすい街ランキング</a> / <a href="/knowledge/cost/">費用内訳ガイド</a></p>' },
-  { title: '\\u{1F4CD} エリア別の特徴と土地相場', content: '<ul><li><a href="/area/mie/yokkaichi/">四日市市</a>（坪18.8万円）\\u2014 県最大の商業都市、名古屋35分</li><li><a href="/area/mie/kuwana/">桑名市</a>（坪18.4万円）\\u2014 名古屋25分の好アクセス</li><li><a href="/area/mie/suzuka/">鈴鹿市</a>（坪13.6万円）\\u2014 手頃で広い家が建てやすい</li><li><a href="/area/mie/inabe/">いなべ市</a>（坪8.1万円）\\u2014 県北部最安、自然豊か</li><li><a href="/area/mie/kameyama/">亀山市</a>（坪9.8万円）\\u2014 交通の要衝、車通勤に便利</li><li><a href="/area/mie/komono/">菰野町</a>（坪10.3万円）\\u2014 温泉と自然の人気エリア</li><li><a href="/area/mie/toin/">東員町</a>（坪11.7万円）\\u2014 人口増加中の子育ての街</li></ul>' },
+  { title: '\\u{1F4CD} エリア別の特徴と土地相場', content: '<ul><li><a href="/area/mie/yokkaichi/">四日市市</a>（坪18.8万円）\\u2014 県最大の商業都市、名古屋35分</li><li><a href="/area/mie/kuwana/">桑名市</a>（坪18.4万円）\\u2014 名古屋25分の好アクセス</li><li><a href="/area/mie/suzuka/">鈴鹿市</a>（坪13.6万円）\\u2014 手頃で広い家が建てやすい</li><li><a href="/area/mie/inabe/">いなべ市</a>（坪8.1万円）\\u2014 県北部最安、自然豊か</li><li><a href="/area/mie/kameyama/">亀山市</a>（坪9.8万円）\\u2014 交通の要衝、車通勤に便利</li><li><a href="/area/mie/komono/">菰野町</a>（坪10.3万円）\\u2014 温泉と自然の人気エリア</li><li><a href="/area/mie/toin/">東員町</a>（坪11.7万円）\\u2014 人口増加中の子育ての街</li><li><a href="/area/mie/kisosaki/">木曽岬町</a>（坪7.6万円）\\u2014 県境の干拓地、土地が広く安い</li><li><a href="/area/mie/asahi/">朝日町</a>（坪14.5万円）\\u2014 JR・近鉄2駅で名古屋30分</li><li><a href="/area/mie/kawagoe/">川越町</a>（坪15.5万円）\\u2014 財政が安定した四日市の隣町</li><li><a href="/area/mie/tsu/">津市</a>（坪11.9万円）\\u2014 県庁所在地、医療・教育が充実</li></ul>' },
   { title: '\\u{1F4B0} 注文住宅の費用相場（三重県）', content: '<p>三重県で注文住宅を建てる場合、土地50坪＋建物35坪で総額2,800〜4,200万円が目安。全国平均（約4,903万円）より700〜2,100万円安く建てられます。</p><p>住宅ローンは変動金利0.3〜0.5%台が主流。つなぎ融資の手配も忘れずに。2026年は補助金・減税制度も充実しています。</p><p class="guide-modal-links">関連: <a href="/knowledge/cost/">費用の内訳</a> / <a href="/knowledge/housing-loan/">住宅ローンガイド</a> / <a href="/knowledge/subsidy-2026/">2026年の補助金</a></p>' },
   { title: '\\u{1F683} 名古屋通勤・子育て環境', content: '<p>桑名から名古屋25分、四日市35分、鈴鹿50分（近鉄利用）。定期代は月1.5〜3万円程度。テレワーク併用なら、いなべ市や菰野町の自然豊かなエリアも選択肢に。</p><p>四日市市は小中学校58校・医療費助成18歳まで。桑名市は「子育て支援日本一」を掲げ、教育環境の充実に力を入れています。</p><p class="guide-modal-links">関連: <a href="/knowledge/mie-commute/">名古屋通勤ガイド</a> / <a href="/knowledge/mie-school-district/">学区ガイド</a></p>' },
   { title: '\\u{1F4CB} 家づくりの進め方', content: '<p>注文住宅は情報収集から入居まで12〜18ヶ月。まず予算を決め、土地探し・建築会社選びを並行して進めます。見積もりは必ず3社以上で比較しましょう。</p><p>設計打ち合わせは平均5〜10回。間取りは生活動線と収納計画が最重要ポイントです。</p><p class="guide-modal-links">関連: <a href="/knowledge/flow/">家づくりの流れ</a> / <a href="/knowledge/builder-comparison/">建築会社の選び方</a> / <a href="/knowledge/design-meeting/">設計打ち合わせのコツ</a></p>' },
@@ -1237,7 +1568,7 @@ function generateCityPage(cityId) {
   const cityObj = CITIES.find(c => c.id === cityId);
   const cityName = cityObj.name;
 
-  let html = injectDpfData(areaHtml);
+  let html = injectHedonicEstimates(injectDistrictCoords(injectDistrictHazards(injectDpfData(injectLandPriceData(injectStationData(injectAreaRegistry(areaHtml)))))));
 
   // 1. Update <title>
   html = html.replace(
@@ -1254,13 +1585,13 @@ function generateCityPage(cityId) {
   // 3. Update canonical
   html = html.replace(
     /<link rel="canonical" href="[^"]*">/,
-    `<link rel="canonical" href="${DOMAIN}/area/mie/${cityId}/">`
+    `<link rel="canonical" href="${DOMAIN}${cityUrl(cityId)}">`
   );
 
   // 4. Update og:url and og:title
   html = html.replace(
     /<meta property="og:url" content="[^"]*">/,
-    `<meta property="og:url" content="${DOMAIN}/area/mie/${cityId}/">`
+    `<meta property="og:url" content="${DOMAIN}${cityUrl(cityId)}">`
   );
   html = html.replace(
     /<meta property="og:title" content="[^"]*">/,
@@ -1298,7 +1629,7 @@ function generateCityPage(cityId) {
   // 6. Update WebApplication structured data + enhance author
   html = html.replace(
     /"url": "https:\/\/research\.chuumon-soudan\.com\/area\.html"/,
-    `"url": "${DOMAIN}/area/mie/${cityId}/"`
+    `"url": "${DOMAIN}${cityUrl(cityId)}"`
   );
   html = html.replace(
     /"name": "三重県 注文住宅エリア比較ツール"/,
@@ -1322,7 +1653,7 @@ function generateCityPage(cityId) {
   const breadcrumbItems = [
     { name: 'トップ', url: '/' },
     { name: '三重県エリア比較', url: '/area/mie/' },
-    { name: cityName, url: `/area/mie/${cityId}/` }
+    { name: cityName, url: cityUrl(cityId) }
   ];
 
   const cityStructuredData = buildBreadcrumbJsonLd(breadcrumbItems) + '\n' + buildFaqJsonLd(cityId);
@@ -1344,7 +1675,7 @@ function generateCityPage(cityId) {
     `<h1 class="text-2xl font-bold text-gray-900 mobile-title-text">🏠 ${cityName}で注文住宅を建てる</h1>`
   );
   html = html.replace(
-    '<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>',
+    '<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">三重県北部・中部の土地相場・取引データを比較して、注文住宅に最適なエリアを見つけよう</p>',
     `<p class="text-sm text-gray-500 mt-1 mobile-subtitle-text">土地相場・費用シミュレーション・取引データで${cityName}の注文住宅をサポート</p>
         <div style="display:flex;flex-wrap:wrap;gap:8px;margin-top:6px;">
           <span style="font-size:11px;color:#6b7280;background:#f3f4f6;padding:2px 8px;border-radius:4px;">📊 データ出典: <a href="https://www.reinfolib.mlit.go.jp/" style="color:#3b82f6;text-decoration:none;" rel="noopener">国土交通省 不動産情報ライブラリ</a></span>
@@ -1383,7 +1714,7 @@ function generateCityPage(cityId) {
     `<a href="/area/mie/" class="text-xs text-blue-600 hover:underline">三重県エリア比較</a>`,
     ...cd.neighbors.map(nId => {
       const nc = cityData[nId];
-      return nc ? `<a href="/area/mie/${nId}/" class="text-xs text-blue-600 hover:underline">${nc.nameJa}</a>` : '';
+      return nc ? `<a href="${cityUrl(nId)}" class="text-xs text-blue-600 hover:underline">${nc.nameJa}</a>` : '';
     }).filter(Boolean),
     `<a href="/" class="text-xs text-blue-600 hover:underline">注文住宅比較.com</a>`
   ].join(' | ');
@@ -1418,7 +1749,7 @@ document.addEventListener('DOMContentLoaded', function() { var el = document.get
 
   // 17. Add drawer menu with area navigation
   const drawerCityLinks = CITIES.map(c =>
-    `<a href="/area/mie/${c.id}/" style="width:100%;text-align:left;padding:8px 16px;border-radius:8px;font-size:13px;${c.id === cityId ? 'background:#dbeafe;color:#1e40af;font-weight:600;' : 'background:#f0f9ff;color:#1e40af;'}border:none;text-decoration:none;display:block;">${cityData[c.id]?.nameJa || c.name}</a>`
+    `<a href="${cityUrl(c.id)}" style="width:100%;text-align:left;padding:8px 16px;border-radius:8px;font-size:13px;${c.id === cityId ? 'background:#dbeafe;color:#1e40af;font-weight:600;' : 'background:#f0f9ff;color:#1e40af;'}border:none;text-decoration:none;display:block;">${cityData[c.id]?.nameJa || c.name}</a>`
   ).join('\n          ');
 
   html = html.replace(
@@ -1540,13 +1871,13 @@ function generateAboutPage() {
       <tr><th>サイト名</th><td>注文住宅比較.com</td></tr>
       <tr><th>URL</th><td>${DOMAIN}/</td></tr>
       <tr><th>サービス内容</th><td>注文住宅の土地探し・費用比較をサポートする無料Webツール</td></tr>
-      <tr><th>対象エリア</th><td>三重県北部（四日市市・桑名市・鈴鹿市・いなべ市・亀山市・菰野町・東員町）</td></tr>
+      <tr><th>対象エリア</th><td>三重県北部・中部（${AREA_FULL_NAMES}）</td></tr>
     </table>
     <p>注文住宅比較.comは、三重県鈴鹿市に本社を置く株式会社ariGaTが運営する住宅情報メディアです。三重県で注文住宅を検討されている方に向けて、地元企業ならではの視点で地域に密着した住宅情報をお届けしています。</p>
 
     <h2>提供ツール</h2>
     <ul>
-      <li><a href="/area/mie/">エリア比較ツール</a> — 三重県北部7エリアの土地相場・取引データ・子育て環境をリアルタイム比較</li>
+      <li><a href="/area/mie/">エリア比較ツール</a> — ${AREA_SCOPE}の土地相場・取引データ・子育て環境をリアルタイム比較</li>
       <li><a href="/">注文住宅比較.com</a> — SUUMO・ホームズ等のURLを貼るだけで、AIが物件情報を自動取得・比較表を作成</li>
       <li>費用シミュレーター — 土地面積・建物面積・建築グレードから注文住宅の総費用を即時試算</li>
     </ul>
@@ -2005,7 +2336,7 @@ function generateKnowledgeHubPage() {
   <section class="ka-hub-cta">
     <div class="ka-hub-cta-inner">
       <h2>知識を身につけたら、実際のデータで検討を始めましょう</h2>
-      <p>三重県7エリアの土地相場・費用シミュレーションで理想の家づくりを</p>
+      <p>三重県${CITIES.length}エリアの土地相場・費用シミュレーションで理想の家づくりを</p>
       <div class="ka-hub-cta-btns">
         <a href="/area/mie/" class="ka-hub-cta-pri">三重県エリア比較 →</a>
         <a href="/" class="ka-hub-cta-sec">注文住宅比較.com →</a>
@@ -2171,7 +2502,7 @@ function generateSitemap() {
   const urls = [
     { loc: '/', priority: '1.0', changefreq: 'weekly', lastmod: TODAY },
     { loc: '/area/mie/', priority: '0.9', changefreq: 'weekly', lastmod: getGitLastmod('area/mie/index.html') },
-    ...CITIES.map(c => ({ loc: `/area/mie/${c.id}/`, priority: '0.8', changefreq: 'weekly', lastmod: getGitLastmod(`area/mie/${c.id}/index.html`) })),
+    ...CITIES.map(c => ({ loc: cityUrl(c.id), priority: '0.8', changefreq: 'weekly', lastmod: getGitLastmod(`area/mie/${c.slug}/index.html`) })),
     { loc: '/knowledge/', priority: '0.8', changefreq: 'monthly', lastmod: TODAY },
     ...knowledgeData.articles.map(a => ({ loc: `/knowledge/${a.id}/`, priority: '0.7', changefreq: 'monthly', lastmod: getGitLastmod(`knowledge/${a.id}/index.html`) })),
     { loc: '/builders/', priority: '0.8', changefreq: 'monthly', lastmod: getGitLastmod('builders/index.html') },
@@ -3083,11 +3414,11 @@ async function main() {
 
   // City pages
   for (const city of CITIES) {
-    const cityDir = join(hubDir, city.id);
+    const cityDir = join(hubDir, city.slug);
     ensureDir(cityDir);
     const cityHtml = await minifyHtml(generateCityPage(city.id));
     writeFileSync(join(cityDir, 'index.html'), cityHtml, 'utf-8');
-    console.log(`  ✓ area/mie/${city.id}/index.html`);
+    console.log(`  ✓ area/mie/${city.slug}/index.html`);
   }
 
   // Knowledge hub page
@@ -3139,9 +3470,19 @@ async function main() {
   writeFileSync(join(ROOT, 'sitemap.xml'), sitemap, 'utf-8');
   console.log('  ✓ sitemap.xml');
 
+  // Area registry in the property comparison page
+  updateIndexAreaRegistry();
+  console.log('  ✓ index.html (area registry)');
+
+  // Registered cities whose data has not been fetched yet render as "—" / no trades
+  const noDpf = CITIES.filter(c => !mlitHazard?.facilitiesByCity?.[c.id]).map(c => c.id);
+  const noTrades = CITIES.filter(c => !liveDataCityIds.includes(c.id)).map(c => c.id);
+  if (noDpf.length > 0) console.warn(`  ⚠ no DPF facility data in mlit-hazard.json: ${noDpf.join(', ')}`);
+  if (noTrades.length > 0) console.warn(`  ⚠ no trades in live-data.json: ${noTrades.join(', ')}`);
+
   const articleCount = knowledgeData.articles.length;
   const builderCount = buildersData.length;
-  console.log(`Done! Generated 1 hub + 7 city pages + 1 knowledge hub + ${articleCount} articles + ${builderCount} builder pages + 1 events calendar + about + sitemap.`);
+  console.log(`Done! Generated 1 hub + ${CITIES.length} city pages + 1 knowledge hub + ${articleCount} articles + ${builderCount} builder pages + 1 events calendar + about + sitemap.`);
 }
 
 main();
@@ -2,11 +2,29 @@
 /**
  * バッチ不動産データ取得スクリプト
  * GitHub Actionsで週1回実行し、MCP経由で取引データを取得 → data/live-data.json に保存
+ *
+ * 取得結果は data/transactions/{cityId}/{YYYY}Q{q}.json に四半期単位で蓄積し、
+ * 未取得の四半期のみをMCPから取得する。live-data.json はこのストアから組み立てる。
+ * 実行ごとに data/snapshots/ へスナップショットと前回との差分レポートを保存する。
+ * 書き出す取引には外れ値・住宅以外の判定（quality、scripts/lib/trade-quality.mjs）を付け、平均取引価格は通常の取引だけで出す。
+ * 書き出し前にスキーマ検証・サニティゲートを通し、失敗時は非ゼロで終了する。
+ *
+ * 取得期間は実行日から遡るローリングウィンドウ（既定5年）:
+ *   node scripts/fetch-data.mjs --years=5
+ *   node scripts/fetch-data.mjs --refresh=2   # 直近2四半期は保存済みでも再取得
+ *   node scripts/fetch-data.mjs --timeout=30000 --retries=4   # MCP呼出のタイムアウト(ms)・再試行回数
  */
 
-import { writeFileSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { MCPClient, MCP_CLIENT_DEFAULTS } from './lib/mcp-client.mjs';
+import { extractTransactionsFromMCPResponse, processTransactions, averageTradePrice } from './lib/transactions.mjs';
+import { classifyTransactions, countTradeQuality } from './lib/trade-quality.mjs';
+import { quarterKey, hasQuarter, readQuarter, writeQuarter, listQuarters, assembleTransactions } from './lib/transaction-store.mjs';
+import { buildSnapshot, loadPreviousSnapshot, writeSnapshot, diffSnapshots, writeLatestDiff } from './lib/snapshots.mjs';
+import { validateRecord, validateDataset, formatReport } from './lib/validate-transactions.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const OUTPUT_PATH = join(__dirname, '..', 'data', 'live-data.json');
@@ -14,233 +32,113 @@ const OUTPUT_PATH = join(__dirname, '..', 'data', 'live-data.json');
 // ============================================================
 // Configuration
 // ============================================================
+// 環境変数で上書き可能（ローカルの mock-mcp-server.mjs を使う場合など）
+//   MCP_PROXY_URL= （空文字でプロキシを使わず直接接続）
+//   MCP_REINFO_URL=http://localhost:8787/mcp
 const CONFIG = {
-  PROXY_URL: 'https://jvfmvitknqnmuduyscnl.supabase.co/functions/v1/mcp-proxy',
-  MCP_REINFO: 'https://mcp.n-3.ai/mcp?tools=get-time,reinfolib-real-estate-price,reinfolib-city-list',
+  PROXY_URL: process.env.MCP_PROXY_URL ?? 'https://jvfmvitknqnmuduyscnl.supabase.co/functions/v1/mcp-proxy',
+  MCP_REINFO: process.env.MCP_REINFO_URL ?? 'https://mcp.n-3.ai/mcp?tools=get-time,reinfolib-real-estate-price,reinfolib-city-list',
 };
 
-const AREAS = [
-  { id: 'yokkaichi', name: '四日市市', cityCode: '24202' },
-  { id: 'kuwana',    name: '桑名市',   cityCode: '24205' },
-  { id: 'suzuka',    name: '鈴鹿市',   cityCode: '24207' },
-  { id: 'inabe',     name: 'いなべ市', cityCode: '24212' },
-  { id: 'kameyama',  name: '亀山市',   cityCode: '24210' },
-  { id: 'komono',    name: '菰野町',   cityCode: '24341' },
-  { id: 'toin',      name: '東員町',   cityCode: '24343' },
-];
-
-const YEAR_QUARTERS = [
-  { year: '2024', quarter: '4' }, { year: '2024', quarter: '3' },
-  { year: '2024', quarter: '2' }, { year: '2024', quarter: '1' },
-  { year: '2023', quarter: '4' }, { year: '2023', quarter: '3' },
-  { year: '2023', quarter: '2' }, { year: '2023', quarter: '1' },
-  { year: '2022', quarter: '4' }, { year: '2022', quarter: '3' },
-  { year: '2022', quarter: '2' }, { year: '2022', quarter: '1' },
-  { year: '2021', quarter: '4' }, { year: '2021', quarter: '3' },
-  { year: '2021', quarter: '2' }, { year: '2021', quarter: '1' },
-  { year: '2020', quarter: '4' }, { year: '2020', quarter: '3' },
-  { year: '2020', quarter: '2' }, { year: '2020', quarter: '1' },
-];
+// 対象エリア（data/areas.json）
+const { prefCode: PREF_CODE, areas: AREAS } = loadAreaRegistry();
+
+// 取得期間（年数）の既定値。`--years=N` で上書き可能
+const DEFAULT_YEARS = 5;
+// 最新四半期の探索で遡る最大四半期数（公開ラグ考慮）
+const PROBE_MAX_QUARTERS = 8;
 
 // ============================================================
-// MCP Client (Node.js port)
+// Quarter Window
 // ============================================================
-class MCPClient {
-  constructor(mcpUrl, proxyUrl) {
-    this.mcpUrl = mcpUrl;
-    this.proxyUrl = proxyUrl;
-    this.sessionId = null;
-    this.requestId = 0;
-    this.connected = false;
-    this.useProxy = !!proxyUrl;
-  }
-
-  _buildFetchUrl() {
-    if (this.useProxy) {
-      return `${this.proxyUrl}?url=${encodeURIComponent(this.mcpUrl)}`;
-    }
-    return this.mcpUrl;
-  }
-
-  async initialize() {
-    const attempts = this.useProxy ? [true, false] : [false];
-    let lastError;
-
-    for (const viaProxy of attempts) {
-      try {
-        this.useProxy = viaProxy;
-        const url = this._buildFetchUrl();
-
-        const res = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json, text/event-stream',
-          },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: ++this.requestId,
-            method: 'initialize',
-            params: {
-              protocolVersion: '2025-03-26',
-              capabilities: {},
-              clientInfo: { name: 'mie-realestate-batch', version: '1.0.0' }
-            }
-          })
-        });
-
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-        const sid = res.headers.get('Mcp-Session-Id') || res.headers.get('mcp-session-id');
-        if (sid) this.sessionId = sid;
-
-        const data = await this._parseResponse(res);
-
-        // Send initialized notification
-        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
-        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
-
-        await fetch(this._buildFetchUrl(), {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })
-        });
-
-        this.connected = true;
-        console.log(`✅ MCP connected via ${viaProxy ? 'proxy' : 'direct'}`);
-        return data;
-      } catch (e) {
-        lastError = e;
-        console.warn(`⚠️ MCP ${viaProxy ? 'proxy' : 'direct'} failed:`, e.message);
-      }
-    }
-    this.connected = false;
-    throw lastError;
-  }
-
-  async listTools() {
-    const data = await this._request('tools/list', {});
-    if (data && data.tools) return data.tools;
-    return [];
-  }
-
-  async callTool(name, args = {}) {
-    return this._request('tools/call', { name, arguments: args });
+function parseArgs(argv) {
+  const opts = {
+    years: DEFAULT_YEARS,
+    refresh: 0,
+    timeoutMs: MCP_CLIENT_DEFAULTS.timeoutMs,
+    maxRetries: MCP_CLIENT_DEFAULTS.maxRetries,
+  };
+  for (const arg of argv) {
+    let m = arg.match(/^--years=(\d+)$/);
+    if (m) opts.years = Math.max(1, parseInt(m[1], 10));
+    m = arg.match(/^--refresh=(\d+)$/);
+    if (m) opts.refresh = parseInt(m[1], 10);
+    m = arg.match(/^--timeout=(\d+)$/);
+    if (m) opts.timeoutMs = parseInt(m[1], 10);
+    m = arg.match(/^--retries=(\d+)$/);
+    if (m) opts.maxRetries = parseInt(m[1], 10);
   }
+  return opts;
+}
 
-  async _request(method, params) {
-    const url = this._buildFetchUrl();
-    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' };
-    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
-
-    const res = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params })
-    });
+function currentQuarter(date = new Date()) {
+  return { year: date.getFullYear(), quarter: Math.floor(date.getMonth() / 3) + 1 };
+}
 
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return this._parseResponse(res);
-  }
+function prevQuarter({ year, quarter }) {
+  return quarter === 1 ? { year: year - 1, quarter: 4 } : { year, quarter: quarter - 1 };
+}
 
-  async _parseResponse(res) {
-    const ct = res.headers.get('Content-Type') || '';
-    if (ct.includes('text/event-stream')) {
-      const text = await res.text();
-      const lines = text.split('\n');
-      let lastData = null;
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try { lastData = JSON.parse(line.slice(6)); } catch {}
-        }
-      }
-      return lastData?.result || lastData;
-    }
-    const json = await res.json();
-    return json.result || json;
+/**
+ * 最新四半期から遡って count 四半期分のリストを返す（新しい順）
+ * MCPツールの引数に合わせて year/quarter は文字列
+ */
+function quarterWindow(latest, count) {
+  const list = [];
+  let yq = latest;
+  for (let i = 0; i < count; i++) {
+    list.push({ year: String(yq.year), quarter: String(yq.quarter) });
+    yq = prevQuarter(yq);
   }
+  return list;
 }
 
-// ============================================================
-// Data Processing (same logic as browser version)
-// ============================================================
-function extractTransactionsFromMCPResponse(data) {
-  let content = data;
-  if (content && content.content) content = content.content;
-  if (!Array.isArray(content)) {
-    if (content && content.data && Array.isArray(content.data)) return content.data;
-    if (content && typeof content === 'string') {
-      try {
-        const p = JSON.parse(content);
-        if (p.data && Array.isArray(p.data)) return p.data;
-      } catch {}
+/**
+ * REINFOLIBが実際にデータを持つ最新四半期を探索する
+ * 現在の四半期から遡り、最初に取引が返ってきた四半期を採用
+ */
+async function probeLatestQuarter(client, area) {
+  let yq = currentQuarter();
+  for (let i = 0; i < PROBE_MAX_QUARTERS; i++) {
+    try {
+      const priceData = await client.callTool('reinfolib-real-estate-price', {
+        year: String(yq.year),
+        quarter: String(yq.quarter),
+        area: PREF_CODE,
+        city: area.jisCode
+      });
+      const records = extractTransactionsFromMCPResponse(priceData);
+      if (records.length > 0) return yq;
+      console.log(`  🔍 ${quarterKey(yq)}: データ未公開`);
+    } catch (e) {
+      console.warn(`  ⚠️ ${quarterKey(yq)} 探索失敗: ${e.message}`);
     }
-    return [];
+    yq = prevQuarter(yq);
+    await new Promise(r => setTimeout(r, 100));
   }
-  const textContent = content.find(c => c.type === 'text');
-  if (!textContent) return [];
-  try {
-    const parsed = JSON.parse(textContent.text);
-    if (parsed.data && Array.isArray(parsed.data)) return parsed.data;
-    for (const key of Object.keys(parsed)) {
-      if (Array.isArray(parsed[key]) && parsed[key].length > 0) return parsed[key];
-    }
-  } catch {}
-  return [];
-}
-
-function deduplicateRecords(records) {
-  const seen = new Set();
-  return records.filter(d => {
-    const key = [
-      d.TradePrice || '',
-      d.DistrictName || d.Region || '',
-      d.Area || '',
-      d.Period || '',
-      d.Type || d.TradeType || '',
-      d.BuildingYear || '',
-      d.NearestStation || '',
-      d.FloorPlan || '',
-      d.Structure || ''
-    ].join('|');
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
-}
-
-function normalizeTransactions(records) {
-  return records.map(d => ({
-    TradePrice: (d.TradePrice != null && d.TradePrice !== '') ? parseInt(d.TradePrice) : null,
-    Type: d.Type || d.TradeType || '',
-    Area: d.Area ? parseFloat(d.Area) : null,
-    FloorPlan: d.FloorPlan || '',
-    BuildingYear: d.BuildingYear || '',
-    NearestStation: d.NearestStation || '',
-    DistanceToStation: d.TimeToNearestStation || d.DistanceToStation || '',
-    Use: d.Use || d.Purpose || '',
-    District: d.DistrictName || d.Region || '',
-    Structure: d.Structure || '',
-    CityPlanning: d.CityPlanning || '',
-    Period: d.Period || '',
-  }));
+  return null;
 }
 
 // ============================================================
 // Main
 // ============================================================
 async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
   console.log('🏠 三重県北部 不動産データ バッチ取得開始');
   console.log(`📅 ${new Date().toISOString()}`);
   console.log(`📍 対象エリア: ${AREAS.map(a => a.name).join(', ')}`);
-  console.log(`📊 取得期間: ${YEAR_QUARTERS.length}四半期 (2020Q1 - 2024Q4)`);
   console.log('');
 
   // MCP接続（リトライ3回）
   let client;
   for (let attempt = 1; attempt <= 3; attempt++) {
     try {
-      client = new MCPClient(CONFIG.MCP_REINFO, CONFIG.PROXY_URL);
+      client = new MCPClient(CONFIG.MCP_REINFO, CONFIG.PROXY_URL, {
+        timeoutMs: opts.timeoutMs,
+        maxRetries: opts.maxRetries,
+        clientName: 'mie-realestate-batch',
+      });
       await client.initialize();
       const tools = await client.listTools();
       console.log(`🔧 利用可能ツール: ${tools.map(t => t.name).join(', ')}`);
@@ -256,63 +154,129 @@ async function main() {
     }
   }
 
+  // 最新四半期を探索 → ローリング取得期間を決定
+  console.log(`\n🔍 最新四半期を探索中 (${AREAS[0].name})...`);
+  let latest = await probeLatestQuarter(client, AREAS[0]);
+  if (!latest) {
+    // 探索に失敗した場合はストアの最新四半期、それも無ければ公開ラグ（約2四半期）を仮定
+    const stored = listQuarters(AREAS[0].id)[0];
+    latest = stored
+      ? { year: parseInt(stored.slice(0, 4), 10), quarter: parseInt(stored.slice(5), 10) }
+      : prevQuarter(prevQuarter(currentQuarter()));
+    console.warn(`  ⚠️ 最新四半期を特定できませんでした。${quarterKey(latest)} を起点とします`);
+  }
+  const yearQuarters = quarterWindow(latest, opts.years * 4);
+  const oldest = yearQuarters[yearQuarters.length - 1];
+  console.log(`📊 取得期間: ${yearQuarters.length}四半期 (${quarterKey(oldest)} - ${quarterKey(latest)})`);
+
   const result = {
     fetchedAt: new Date().toISOString(),
+    coverage: {
+      from: quarterKey(oldest),
+      to: quarterKey(latest),
+      quarters: yearQuarters.length,
+    },
     areas: {}
   };
 
-  // 全エリアのデータ取得
+  // 全エリアのデータ取得（ストアに無い四半期のみ）
+  const windowKeys = yearQuarters.map(quarterKey);
+  const refreshKeys = new Set(windowKeys.slice(0, opts.refresh));
+
   for (const area of AREAS) {
-    console.log(`\n📍 ${area.name} (${area.cityCode}) のデータ取得開始...`);
+    console.log(`\n📍 ${area.name} (${area.jisCode}) のデータ取得開始...`);
 
-    const allRecords = [];
-    let successCount = 0;
+    let fetchCount = 0;
+    let skipCount = 0;
     let failCount = 0;
 
-    for (const yq of YEAR_QUARTERS) {
+    for (const yq of yearQuarters) {
+      const key = quarterKey(yq);
+      if (hasQuarter(area.id, key) && !refreshKeys.has(key)) {
+        skipCount++;
+        continue;
+      }
+
       try {
         const priceData = await client.callTool('reinfolib-real-estate-price', {
           year: yq.year,
           quarter: yq.quarter,
-          area: '24',
-          city: area.cityCode
+          area: PREF_CODE,
+          city: area.jisCode
         });
         const records = extractTransactionsFromMCPResponse(priceData);
-        allRecords.push(...records);
-        successCount++;
+
+        // 正規化 → 重複排除
+        const transactions = processTransactions(records);
+
+        // スキーマ違反を含む四半期はストアに保存しない
+        const invalid = transactions.map(validateRecord).filter(errs => errs.length > 0);
+        if (invalid.length > 0) {
+          throw new Error(`スキーマ違反 ${invalid.length}件 (${invalid[0].join(', ')})`);
+        }
+
+        // 0件は最新四半期だけ未公開の可能性があるため保存しない（次回実行時に再取得）。
+        // それより古い四半期は公開済みなので、0件も保存して毎回取り直さない
+        // 再取得で件数が減った場合は前回データを維持
+        const previous = readQuarter(area.id, key);
+        if (transactions.length === 0 && key === windowKeys[0]) {
+          console.warn(`  ⚠️ ${key}: データなし（最新四半期のため保存せず次回再取得）`);
+        } else if (previous && transactions.length < previous.transactions.length) {
+          console.warn(`  ⚠️ ${key}: ${previous.transactions.length} → ${transactions.length} 件に減少したため前回データを維持`);
+        } else {
+          writeQuarter(area.id, key, { cityCode: area.jisCode, transactions });
+        }
+        fetchCount++;
 
         // レート制限回避（100msウェイト）
         await new Promise(r => setTimeout(r, 100));
       } catch (e) {
+        // 失敗した四半期は保存しない（次回実行時に再取得）
         failCount++;
-        console.warn(`  ⚠️ ${yq.year}Q${yq.quarter} 失敗: ${e.message}`);
+        console.warn(`  ⚠️ ${key} 失敗: ${e.message}`);
       }
     }
 
-    console.log(`  📊 ${successCount}/${YEAR_QUARTERS.length} 四半期取得成功 (${failCount}件失敗)`);
+    console.log(`  📊 ${fetchCount}四半期取得 / ${skipCount}四半期保存済み (${failCount}件失敗)`);
 
-    // 重複排除 → 正規化
-    const unique = deduplicateRecords(allRecords);
-    const transactions = normalizeTransactions(unique);
+    // ストアから取得期間分を組み立て
+    const assembled = assembleTransactions(area.id, windowKeys);
+    const quarters = assembled.quarters;
+    if (quarters.length < windowKeys.length) {
+      const missing = windowKeys.filter(k => !quarters.includes(k));
+      console.warn(`  ⚠️ 未取得の四半期: ${missing.join(', ')}`);
+    }
 
-    console.log(`  📋 ${allRecords.length} → ${unique.length} 件（重複排除後）`);
+    // 外れ値・住宅以外の取引に印を付ける（ストアには付けず、組み立てた取得期間の分布で判定）
+    const transactions = classifyTransactions(assembled.transactions);
+    const qualityCounts = countTradeQuality(transactions);
 
-    // 平均取引価格
-    const prices = transactions.filter(t => t.TradePrice != null).map(t => t.TradePrice);
-    const avgTradePrice = prices.length > 0
-      ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length)
-      : null;
+    // 平均取引価格（印の付いた取引を除く）
+    const avgTradePrice = averageTradePrice(transactions);
 
     result.areas[area.id] = {
-      cityCode: area.cityCode,
+      cityCode: area.jisCode,
       name: area.name,
       transactions,
       avgTradePrice,
       transactionCount: transactions.length,
     };
 
-    console.log(`  ✅ ${area.name}: ${transactions.length}件, 平均${avgTradePrice ? (avgTradePrice / 10000).toFixed(0) + '万円' : 'N/A'}`);
+    console.log(`  ✅ ${area.name}: ${transactions.length}件 (${quarters.length}四半期、外れ値${qualityCounts.outlier}件・住宅以外${qualityCounts['non-residential']}件), 平均${avgTradePrice ? (avgTradePrice / 10000).toFixed(0) + '万円' : 'N/A'}`);
+  }
+
+  // 検証（前回の live-data.json と比較）
+  const previousData = existsSync(OUTPUT_PATH)
+    ? JSON.parse(readFileSync(OUTPUT_PATH, 'utf-8'))
+    : null;
+  const report = validateDataset(result, previousData);
+  console.log('\n' + formatReport(report));
+  if (!report.ok) {
+    console.error('💥 データ検証に失敗したため live-data.json を更新せずに終了します。');
+    process.exit(1);
   }
+  // 未取得の新規市町は 0 件のエントリを書かない（ページ側は「データなし」表示）
+  for (const id of report.skipped) delete result.areas[id];
 
   // 書き出し
   mkdirSync(dirname(OUTPUT_PATH), { recursive: true });
@@ -325,10 +289,31 @@ async function main() {
   console.log(`📊 合計: ${totalTx.toLocaleString()} 件`);
   console.log(`💾 保存先: ${OUTPUT_PATH}`);
   console.log(`📅 取得日時: ${result.fetchedAt}`);
+  console.log(`📆 対象期間: ${result.coverage.from} - ${result.coverage.to}`);
 
   for (const area of AREAS) {
     const d = result.areas[area.id];
-    console.log(`   ${area.name}: ${d.transactionCount}件`);
+    console.log(`   ${area.name}: ${d ? `${d.transactionCount}件` : '未取得'}`);
+  }
+
+  // スナップショット + 前回との差分
+  const snapshot = buildSnapshot(result);
+  const previous = loadPreviousSnapshot(snapshot.date);
+  const snapshotPath = writeSnapshot(snapshot);
+  console.log(`\n🗂️ スナップショット: ${snapshotPath}`);
+
+  if (previous) {
+    const diff = diffSnapshots(previous, snapshot);
+    writeLatestDiff(diff);
+    console.log(`🔁 前回 (${diff.from}) との差分: 新規 ${diff.totals.added}件 / 消失 ${diff.totals.removed}件`);
+    for (const area of AREAS) {
+      const d = diff.areas[area.id];
+      if (!d) continue;
+      const pct = d.avgTradePrice.changePct != null ? `${d.avgTradePrice.changePct > 0 ? '+' : ''}${d.avgTradePrice.changePct}%` : 'N/A';
+      console.log(`   ${area.name}: +${d.addedCount} / -${d.removedCount}, 平均価格 ${pct}`);
+    }
+  } else {
+    console.log('🔁 比較対象の過去スナップショットなし（初回）');
   }
 }
 
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * 地価公示・都道府県地価調査ポイントの取得 → data/land-price.json
+ * 対象エリア（data/areas.json）ごとに平均地価・住宅地/商業地平均・前年比・複数年推移を集計し、
+ * build-pages.mjs がエリアページの AREAS（residentialPrice / landPriceAvg / yoyChange / trend 等）へ注入する。
+ *
+ * 取得元は次のいずれか:
+ *   - REINFOLIB MCP の地価ポイントツール（既定 reinfolib-land-price-point、LAND_PRICE_TOOL で変更可）
+ *     実行前に tools/list でツールの有無と引数を確かめ、無ければ取得せずに失敗する。
+ *     引数に z/x/y があれば XPT002 と同じタイル単位（市町の周辺タイルを年ごとに取得し cityCode で振り分け）、
+ *     city があれば市町単位で呼ぶ。
+ *   - ローカルに置いたファイル（data/land-price-points/*.json|*.geojson、または --file=）
+ *     REINFOLIB の GeoJSON FeatureCollection か、正規化済みレコードの配列
+ *
+ * 使い方:
+ *   node scripts/fetch-land-price.mjs                    # ファイルがあればファイル、無ければ MCP
+ *   node scripts/fetch-land-price.mjs --source=mcp --years=6 --latest=2025
+ *   node scripts/fetch-land-price.mjs --file=~/Downloads/mie-2025.geojson
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { MCPClient, MCP_CLIENT_DEFAULTS } from './lib/mcp-client.mjs';
+import { normalizeLandPricePoint, extractLandPricePoints, summarizeCityLandPrices, tilesForArea } from './lib/land-price.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const OUTPUT_PATH = join(ROOT, 'data', 'land-price.json');
+const DROP_DIR = join(ROOT, 'data', 'land-price-points');
+
+// ============================================================
+// Configuration
+// ============================================================
+// 環境変数で上書き可能（fetch-data.mjs と同じ）
+const CONFIG = {
+  PROXY_URL: process.env.MCP_PROXY_URL ?? 'https://jvfmvitknqnmuduyscnl.supabase.co/functions/v1/mcp-proxy',
+  MCP_REINFO: process.env.MCP_REINFO_URL ?? 'https://mcp.n-3.ai/mcp?tools=get-time,reinfolib-land-price-point',
+  TOOL: process.env.LAND_PRICE_TOOL || 'reinfolib-land-price-point',
+};
+
+const { prefCode: PREF_CODE, areas: AREAS } = loadAreaRegistry();
+
+// 推移に含める年数（AREA_PROFILES の trend と同じ6年）
+const DEFAULT_YEARS = 6;
+// 最新年の探索で遡る最大年数（地価公示は3月、地価調査は9月公表）
+const PROBE_MAX_YEARS = 3;
+
+function parseArgs(argv) {
+  const opts = {
+    years: DEFAULT_YEARS,
+    latest: null,
+    source: null,
+    files: [],
+    timeoutMs: MCP_CLIENT_DEFAULTS.timeoutMs,
+    maxRetries: MCP_CLIENT_DEFAULTS.maxRetries,
+  };
+  for (const arg of argv) {
+    let m = arg.match(/^--years=(\d+)$/);
+    if (m) opts.years = Math.max(2, parseInt(m[1], 10));
+    m = arg.match(/^--latest=(\d{4})$/);
+    if (m) opts.latest = parseInt(m[1], 10);
+    m = arg.match(/^--source=(mcp|files)$/);
+    if (m) opts.source = m[1];
+    m = arg.match(/^--file=(.+)$/);
+    if (m) opts.files.push(m[1]);
+    m = arg.match(/^--timeout=(\d+)$/);
+    if (m) opts.timeoutMs = parseInt(m[1], 10);
+    m = arg.match(/^--retries=(\d+)$/);
+    if (m) opts.maxRetries = parseInt(m[1], 10);
+  }
+  return opts;
+}
+
+// ============================================================
+// 取得元: ファイル
+// ============================================================
+function listDropFiles() {
+  if (!existsSync(DROP_DIR)) return [];
+  return readdirSync(DROP_DIR)
+    .filter(f => /\.(geo)?json$/.test(f))
+    .sort()
+    .map(f => join(DROP_DIR, f));
+}
+
+function loadPointsFromFiles(paths) {
+  const points = [];
+  for (const path of paths) {
+    const raw = extractLandPricePoints(JSON.parse(readFileSync(path, 'utf-8')));
+    const normalized = raw.map(normalizeLandPricePoint).filter(Boolean);
+    console.log(`  📄 ${path}: ${normalized.length}/${raw.length} 地点`);
+    points.push(...normalized);
+  }
+  return points;
+}
+
+// ============================================================
+// 取得元: MCP
+// ============================================================
+/**
+ * ツールの有無と引数の形を確かめる
+ * @returns {{ mode: 'tile'|'city', params: string[] }}
+ */
+async function resolveToolShape(client) {
+  const tools = await client.listTools();
+  const tool = tools.find(t => t.name === CONFIG.TOOL);
+  if (!tool) {
+    throw new Error(`MCP サーバーに ${CONFIG.TOOL} がありません（提供ツール: ${tools.map(t => t.name).join(', ') || 'なし'}）`);
+  }
+  const params = Object.keys(tool.inputSchema?.properties || {});
+  if (['z', 'x', 'y', 'year'].every(k => params.includes(k))) return { mode: 'tile', params };
+  if (['city', 'year'].every(k => params.includes(k))) return { mode: 'city', params };
+  throw new Error(`${CONFIG.TOOL} の引数（${params.join(', ')}）が z/x/y/year・city/year のどちらでもありません`);
+}
+
+/** スキーマにある引数だけ渡す */
+function toolArgs(shape, args) {
+  return Object.fromEntries(Object.entries(args).filter(([k]) => shape.params.includes(k)));
+}
+
+async function fetchCityYear(client, shape, area, year) {
+  const data = await client.callTool(CONFIG.TOOL, toolArgs(shape, {
+    year: String(year),
+    area: PREF_CODE,
+    city: area.jisCode,
+  }));
+  return extractLandPricePoints(data).map(normalizeLandPricePoint).filter(Boolean);
+}
+
+async function fetchTileYear(client, shape, tile, year) {
+  const data = await client.callTool(CONFIG.TOOL, toolArgs(shape, {
+    response_format: 'geojson',
+    ...tile,
+    year: String(year),
+  }));
+  return extractLandPricePoints(data).map(normalizeLandPricePoint).filter(Boolean);
+}
+
+/** 対象エリアの周辺タイル（隣の市町と重なる分はまとめる） */
+function areaTiles() {
+  const seen = new Map();
+  for (const area of AREAS) {
+    for (const t of tilesForArea(area)) seen.set(`${t.z}/${t.x}/${t.y}`, t);
+  }
+  return [...seen.values()];
+}
+
+/** 今年から遡り、最初にポイントが返ってきた年を最新年とする */
+async function probeLatestYear(client, shape) {
+  const area = AREAS[0];
+  const thisYear = new Date().getFullYear();
+  for (let y = thisYear; y > thisYear - PROBE_MAX_YEARS; y--) {
+    try {
+      const got = shape.mode === 'tile'
+        ? (await Promise.all(tilesForArea(area).slice(0, 4).map(t => fetchTileYear(client, shape, t, y)))).flat()
+        : await fetchCityYear(client, shape, area, y);
+      if (got.length > 0) return y;
+      console.log(`  🔍 ${y}年: データ未公開`);
+    } catch (e) {
+      console.warn(`  ⚠️ ${y}年 探索失敗: ${e.message}`);
+    }
+  }
+  return null;
+}
+
+async function loadPointsFromMcp(opts) {
+  const client = new MCPClient(CONFIG.MCP_REINFO, CONFIG.PROXY_URL, {
+    timeoutMs: opts.timeoutMs,
+    maxRetries: opts.maxRetries,
+    clientName: 'mie-realestate-land-price',
+  });
+  await client.initialize();
+  const shape = await resolveToolShape(client);
+  console.log(`  🔧 ${CONFIG.TOOL}: ${shape.mode === 'tile' ? 'タイル単位' : '市町単位'}（引数 ${shape.params.join(', ')}）`);
+
+  const latest = opts.latest ?? await probeLatestYear(client, shape);
+  if (!latest) throw new Error('地価ポイントが公開されている年を特定できませんでした（--latest=YYYY で指定可）');
+
+  const points = [];
+  const years = Array.from({ length: opts.years }, (_, i) => latest - opts.years + 1 + i);
+  if (shape.mode === 'tile') {
+    const tiles = areaTiles();
+    const cityCodes = new Set(AREAS.map(a => a.jisCode));
+    for (const y of years) {
+      let count = 0;
+      for (const tile of tiles) {
+        try {
+          const got = (await fetchTileYear(client, shape, tile, y)).filter(pt => cityCodes.has(pt.cityCode));
+          points.push(...got);
+          count += got.length;
+        } catch (e) {
+          console.warn(`  ⚠️ ${tile.z}/${tile.x}/${tile.y} ${y}年 失敗: ${e.message}`);
+        }
+        await new Promise(r => setTimeout(r, 100));
+      }
+      console.log(`  📍 ${y}年: ${tiles.length}タイル ${count} 地点`);
+    }
+    // タイルの重なりで同じ地点が複数回返るので地点・年で重複を除く
+    const unique = new Map(points.map(pt => [`${pt.survey}:${pt.pointId}:${pt.year}:${pt.lat},${pt.lng}`, pt]));
+    return { points: [...unique.values()], latest };
+  }
+
+  for (const area of AREAS) {
+    let count = 0;
+    for (const y of years) {
+      try {
+        const got = await fetchCityYear(client, shape, area, y);
+        points.push(...got);
+        count += got.length;
+      } catch (e) {
+        console.warn(`  ⚠️ ${area.name} ${y}年 失敗: ${e.message}`);
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
+    console.log(`  📍 ${area.name}: ${count} 地点`);
+  }
+  return { points, latest };
+}
+
+// ============================================================
+// Main
+// ============================================================
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const files = opts.files.length > 0 ? opts.files : listDropFiles();
+  const source = opts.source ?? (files.length > 0 ? 'files' : 'mcp');
+
+  console.log('🗾 地価公示・地価調査 ポイント集計開始');
+  console.log(`📍 対象エリア: ${AREAS.map(a => a.name).join(', ')}`);
+  console.log(`📥 取得元: ${source === 'files' ? `ファイル ${files.length}件` : `MCP (${CONFIG.TOOL})`}\n`);
+
+  let points, latest;
+  if (source === 'files') {
+    if (files.length === 0) throw new Error(`地価ポイントファイルがありません（${DROP_DIR} に配置するか --file= で指定）`);
+    points = loadPointsFromFiles(files);
+    latest = opts.latest ?? Math.max(...points.map(pt => pt.year));
+  } else {
+    ({ points, latest } = await loadPointsFromMcp(opts));
+  }
+
+  const years = Array.from({ length: opts.years }, (_, i) => latest - opts.years + 1 + i);
+  console.log(`\n📊 集計対象: ${years[0]}〜${latest}年`);
+
+  const result = {
+    generatedAt: new Date().toISOString(),
+    source: source === 'files' ? 'file' : CONFIG.TOOL,
+    years: { from: years[0], to: latest },
+    areas: {},
+  };
+
+  for (const area of AREAS) {
+    const summary = summarizeCityLandPrices(points.filter(pt => pt.cityCode === area.jisCode), years);
+    if (!summary) {
+      console.warn(`  ⚠️ ${area.name}: 地点なし（エリアページは手入力の値を使用）`);
+      continue;
+    }
+    result.areas[area.id] = { name: area.name, cityCode: area.jisCode, ...summary };
+    const yoy = summary.yoyChange != null ? `${summary.yoyChange > 0 ? '+' : ''}${summary.yoyChange}%` : 'N/A';
+    console.log(`  ✅ ${area.name}: ${summary.pointCount}地点 平均${summary.landPriceAvg.toLocaleString()}円/m² 住宅地${summary.residentialPrice.toLocaleString()}円/m² 前年比${yoy}`);
+  }
+
+  if (Object.keys(result.areas).length === 0) {
+    console.error('💥 対象エリアの地点が1件もないため land-price.json を更新せずに終了します。');
+    process.exit(1);
+  }
+
+  mkdirSync(dirname(OUTPUT_PATH), { recursive: true });
+  writeFileSync(OUTPUT_PATH, JSON.stringify(result, null, 2) + '\n', 'utf-8');
+  console.log(`\n💾 保存先: ${OUTPUT_PATH}`);
+}
+
+main().catch(e => {
+  console.error('💥 Fatal error:', e.message || e);
+  process.exit(1);
+});
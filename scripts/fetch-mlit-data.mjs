@@ -6,21 +6,91 @@
  * (国土交通省データプラットフォーム) GraphQL API and outputs a structured
  * JSON file for use by build-pages.mjs.
  *
+ * Hazard zones (土砂災害警戒区域・津波浸水想定・高潮浸水想定・液状化) are
+ * aggregated per city into zone counts, the share of the city's area they
+ * cover (registry `areaKm2` as denominator) and a few simplified
+ * representative polygons.
+ *
+ * Facilities and hazard zones are assigned to cities by point-in-polygon
+ * against a local municipal-boundary GeoJSON (国土数値情報 N03, see
+ * lib/boundaries.mjs); points outside every target city are dropped.
+ * Without the file (or with a target city missing from it) the old
+ * nearest-centroid assignment is used and a warning is printed.
+ *
+ * floodRiskLevel / floodRiskScore come from 洪水浸水想定区域 depth-rank
+ * polygons (GeoJSON in data/flood-depth/, optionally downloaded from
+ * MLIT_FLOOD_DEPTH_URLS): the share of each city's land in each depth band
+ * (see lib/flood-depth.mjs). Without depth polygons, or for a city without
+ * a boundary polygon, the river count is used as before and floodRiskSource
+ * is 'rivers'. The workflow downloads 国土数値情報 A31a (三重県) into
+ * data/flood-depth/ and runs with --require-flood-depth.
+ *
+ * The sediment and depth-rank polygons themselves are also written,
+ * simplified, to data/hazard-zones.json so build-pages.mjs can annotate
+ * transaction districts (lib/hazard-annotate.mjs).
+ *
  * NOTE:  The MLIT search API ignores `attributeFilter` when `locationFilter`
  *        is also present.  To work around this we query by
  *        dataset_id + prefecture_code (AND filter, no location) and then
  *        post-filter results by bounding box in JS.
  *
- * Required env:  MLIT_API_KEY
+ * Every `search` page is cached on disk (lib/mlit-cache.mjs, keyed by query
+ * and offset). `--resume` reuses cached pages, so a run that failed halfway
+ * picks up where it stopped. The same files are replayed by
+ * mock-mlit-server.mjs for offline runs.
+ *
+ * Required env:  MLIT_API_KEY (not needed when MLIT_BASE_URL is overridden)
  * Optional env:  MLIT_BASE_URL (default: https://data-platform.mlit.go.jp/api/v1/)
+ *                MLIT_CACHE_DIR (default: data/mlit-cache)
+ *                MLIT_DS_<LAYER> to override a hazard dataset id
+ *                (MLIT_DS_LIQUEFACTION has no default; unset skips the layer)
+ *                MLIT_BOUNDARIES_PATH
+ *                (default: data/boundaries/municipalities.geojson)
+ *                MLIT_FLOOD_DEPTH_DIR (default: data/flood-depth)
+ *                MLIT_FLOOD_DEPTH_URLS  comma-separated GeoJSON URLs,
+ *                downloaded into MLIT_FLOOD_DEPTH_DIR when not cached
  *
  * Usage:
  *   MLIT_API_KEY=xxx node scripts/fetch-mlit-data.mjs
+ *   MLIT_API_KEY=xxx node scripts/fetch-mlit-data.mjs --resume
+ *   MLIT_API_KEY=xxx node scripts/fetch-mlit-data.mjs --require-boundaries  # fail without the N03 file
+ *   MLIT_API_KEY=xxx node scripts/fetch-mlit-data.mjs --require-flood-depth # fail without depth polygons
+ *   node scripts/fetch-mlit-data.mjs --retries=6 --base-delay=1000 --max-delay=30000 --timeout=60000
+ *
+ *   # offline, replaying recorded pages
+ *   node scripts/mock-mlit-server.mjs --port=8788 &
+ *   MLIT_BASE_URL=http://localhost:8788/ node scripts/fetch-mlit-data.mjs
  */
 
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
-import { dirname, join } from 'path';
+import {
+  writeFileSync,
+  readFileSync,
+  readdirSync,
+  mkdirSync,
+  existsSync,
+} from 'fs';
+import { dirname, join, basename } from 'path';
 import { fileURLToPath } from 'url';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { backoffDelay } from './lib/mcp-client.mjs';
+import { MLIT_CACHE_DIR, readMlitPage, writeMlitPage } from './lib/mlit-cache.mjs';
+import {
+  loadMunicipalBoundaries,
+  createBoundaryLocator,
+  BOUNDARIES_PATH,
+} from './lib/boundaries.mjs';
+import {
+  parsePolygonGeometry,
+  polygonAreaKm2,
+  geometryCenter,
+  simplifyGeometry,
+  geometryBBox,
+} from './lib/geo.mjs';
+import {
+  FLOOD_DEPTH_BANDS,
+  normalizeFloodDepthFeature,
+  summarizeCityFloodDepth,
+} from './lib/flood-depth.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -31,36 +101,89 @@ const ROOT = join(__dirname, '..');
 const API_URL =
   process.env.MLIT_BASE_URL || 'https://data-platform.mlit.go.jp/api/v1/';
 const API_KEY = process.env.MLIT_API_KEY;
+const CACHE_DIR = process.env.MLIT_CACHE_DIR || MLIT_CACHE_DIR;
 
-if (!API_KEY) {
+// A local stand-in (MLIT_BASE_URL) does not check the key
+if (!API_KEY && !process.env.MLIT_BASE_URL) {
   console.error('ERROR: MLIT_API_KEY environment variable is required.');
   console.error('  export MLIT_API_KEY=your_key_here');
   process.exit(1);
 }
 
-const PREF_CODE = 24; // 三重県
+function parseArgs(argv) {
+  const opts = {
+    resume: false,
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 20000,
+    timeoutMs: 60000,
+    requireBoundaries: false,
+    requireFloodDepth: false,
+  };
+  for (const arg of argv) {
+    if (arg === '--resume') opts.resume = true;
+    if (arg === '--require-boundaries') opts.requireBoundaries = true;
+    if (arg === '--require-flood-depth') opts.requireFloodDepth = true;
+    let m = arg.match(/^--retries=(\d+)$/);
+    if (m) opts.maxRetries = parseInt(m[1], 10);
+    m = arg.match(/^--base-delay=(\d+)$/);
+    if (m) opts.baseDelayMs = parseInt(m[1], 10);
+    m = arg.match(/^--max-delay=(\d+)$/);
+    if (m) opts.maxDelayMs = parseInt(m[1], 10);
+    m = arg.match(/^--timeout=(\d+)$/);
+    if (m) opts.timeoutMs = parseInt(m[1], 10);
+  }
+  return opts;
+}
+
+const OPTS = parseArgs(process.argv.slice(2));
 
 // ---------------------------------------------------------------------------
-// Target cities — approximate city-centre coordinates
+// Target cities — from the shared area registry (data/areas.json)
 // ---------------------------------------------------------------------------
-const CITIES = {
-  yokkaichi: { name: '四日市市', lat: 34.965, lon: 136.625, code: '242021' },
-  kuwana:    { name: '桑名市',   lat: 35.065, lon: 136.685, code: '242055' },
-  suzuka:    { name: '鈴鹿市',   lat: 34.882, lon: 136.584, code: '242071' },
-  inabe:     { name: 'いなべ市', lat: 35.115, lon: 136.560, code: '242144' },
-  kameyama:  { name: '亀山市',   lat: 34.854, lon: 136.453, code: '242101' },
-  komono:    { name: '菰野町',   lat: 35.015, lon: 136.520, code: '243418' },
-  toin:      { name: '東員町',   lat: 35.078, lon: 136.610, code: '243248' },
-};
+const registry = loadAreaRegistry();
+
+const PREF_CODE = parseInt(registry.prefCode, 10); // 三重県
+
+const CITIES = Object.fromEntries(
+  registry.areas.map((a) => [
+    a.id,
+    {
+      name: a.name,
+      lat: a.lat,
+      lon: a.lng,
+      code: a.dpfCode,
+      areaKm2: a.areaKm2 ?? null,
+    },
+  ]),
+);
 
 const TARGET_CITY_NAMES = new Set(Object.values(CITIES).map((c) => c.name));
 
-// Bounding box covering all 7 target cities (with margin)
+// Bounding box covering all target cities (with margin)
 const BBOX = {
-  tl: { lat: 35.25, lon: 136.35 },
-  br: { lat: 34.78, lon: 136.78 },
+  tl: { lat: registry.bbox.north, lon: registry.bbox.west },
+  br: { lat: registry.bbox.south, lon: registry.bbox.east },
 };
 
+// Municipal boundaries for point-in-polygon assignment
+const BOUNDARIES = loadMunicipalBoundaries(
+  registry.areas,
+  process.env.MLIT_BOUNDARIES_PATH || BOUNDARIES_PATH,
+);
+const locateCity =
+  BOUNDARIES && BOUNDARIES.missing.length === 0
+    ? createBoundaryLocator(BOUNDARIES)
+    : null;
+
+// Flood depth-rank polygons (洪水浸水想定区域 A31, GeoJSON)
+const FLOOD_DEPTH_DIR =
+  process.env.MLIT_FLOOD_DEPTH_DIR || join(ROOT, 'data', 'flood-depth');
+const FLOOD_DEPTH_URLS = (process.env.MLIT_FLOOD_DEPTH_URLS || '')
+  .split(',')
+  .map((u) => u.trim())
+  .filter(Boolean);
+
 // Dataset IDs on the MLIT Data Platform
 // NOTE: nlni_ksj-p17 (fire stations) has 0 records for Mie — excluded.
 const DS = {
@@ -70,38 +193,87 @@ const DS = {
   park:       'nlni_ksj-p29', // 都市公園
 };
 
+// Hazard-zone layers. Each record is one zone polygon; the geometry is read
+// from the search result (see recordGeometry). The liquefaction dataset is
+// not part of 国土数値情報 and has no known DPF id, so that layer is only
+// fetched when MLIT_DS_LIQUEFACTION is set (otherwise it is 'データなし').
+const HAZARD_LAYERS = [
+  {
+    key: 'sediment',
+    label: '土砂災害警戒区域',
+    dsId: process.env.MLIT_DS_SEDIMENT || 'nlni_ksj-a33',
+    max: 20000,
+  },
+  {
+    key: 'tsunami',
+    label: '津波浸水想定',
+    dsId: process.env.MLIT_DS_TSUNAMI || 'nlni_ksj-a40',
+    max: 10000,
+  },
+  {
+    key: 'stormSurge',
+    label: '高潮浸水想定区域',
+    dsId: process.env.MLIT_DS_STORM_SURGE || 'nlni_ksj-a49',
+    max: 10000,
+  },
+  {
+    key: 'liquefaction',
+    label: '液状化',
+    dsId: process.env.MLIT_DS_LIQUEFACTION || null,
+    max: 10000,
+  },
+];
+
+// Representative polygons kept per city and layer (largest first)
+const REPRESENTATIVE_POLYGONS = 3;
+
 // ---------------------------------------------------------------------------
 // Low-level helpers
 // ---------------------------------------------------------------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
 let _reqCount = 0;
-async function gql(query) {
-  _reqCount++;
+let _cacheHits = 0;
 
-  const doFetch = () =>
-    fetch(API_URL, {
+/** One POST with a timeout; HTTP/GraphQL errors carry err.status / err.retryable */
+async function gqlOnce(query) {
+  _reqCount++;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), OPTS.timeoutMs);
+  let res;
+  try {
+    res = await fetch(API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         Accept: 'application/json',
-        apikey: API_KEY,
+        ...(API_KEY ? { apikey: API_KEY } : {}),
       },
       body: JSON.stringify({ query }),
+      signal: controller.signal,
     });
-
-  let res = await doFetch();
-
-  // Simple retry on transient errors
-  if (res.status === 429 || res.status >= 500) {
-    console.warn(`  ⚠ HTTP ${res.status} — retrying in 3 s …`);
-    await sleep(3000);
-    res = await doFetch();
+  } catch (e) {
+    const err = new Error(
+      e.name === 'AbortError'
+        ? `MLIT API timeout after ${OPTS.timeoutMs} ms`
+        : `MLIT API network error: ${e.message}`,
+    );
+    err.retryable = true;
+    throw err;
+  } finally {
+    clearTimeout(timer);
   }
 
   if (!res.ok) {
     const body = await res.text().catch(() => '');
-    throw new Error(`MLIT API ${res.status}: ${body.slice(0, 200)}`);
+    const err = new Error(`MLIT API ${res.status}: ${body.slice(0, 200)}`);
+    err.status = res.status;
+    err.retryable = RETRYABLE_STATUS.has(res.status);
+    const retryAfter = parseInt(res.headers.get('retry-after') || '', 10);
+    if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    throw err;
   }
 
   const json = await res.json();
@@ -109,6 +281,38 @@ async function gql(query) {
   return json.data;
 }
 
+/**
+ * GraphQL query with exponential backoff and the on-disk page cache.
+ * Cached pages are only read with --resume; every fetched page is written.
+ */
+async function gql(query) {
+  if (OPTS.resume) {
+    const cached = readMlitPage(CACHE_DIR, query);
+    if (cached) {
+      _cacheHits++;
+      return cached;
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await gqlOnce(query);
+      writeMlitPage(CACHE_DIR, query, data);
+      return data;
+    } catch (err) {
+      if (!err.retryable || attempt >= OPTS.maxRetries) throw err;
+      const delay = Math.min(
+        OPTS.maxDelayMs,
+        Math.max(backoffDelay(attempt, OPTS), err.retryAfterMs || 0),
+      );
+      console.warn(
+        `  ⚠ ${err.message} — retry ${attempt + 1}/${OPTS.maxRetries} in ${delay} ms …`,
+      );
+      await sleep(delay);
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // GraphQL filter builders
 // ---------------------------------------------------------------------------
@@ -185,6 +389,47 @@ function nearestCity(lat, lon) {
   return best;
 }
 
+/**
+ * City containing the point: boundary polygon when available,
+ * otherwise the nearest centroid (legacy behaviour).
+ */
+function assignCity(lat, lon) {
+  return locateCity ? locateCity(lat, lon) : nearestCity(lat, lon);
+}
+
+/** Zone polygon from a search result (top-level or in metadata) */
+function recordGeometry(r) {
+  return parsePolygonGeometry(
+    r.geometry ?? r.metadata?.['DPF:geometry'] ?? r.metadata?.geometry ?? null,
+  );
+}
+
+/**
+ * City for a hazard zone: the municipality names in the metadata win;
+ * otherwise the city containing the zone's centre (see assignCity).
+ */
+function hazardCity(r, center) {
+  const names = r.metadata?.['DPF:municipality_name'] || [];
+  for (const [id, c] of Object.entries(CITIES)) {
+    if (names.includes(c.name)) return id;
+  }
+  const lat = center ? center.lat : parseFloat(r.lat);
+  const lon = center ? center.lng : parseFloat(r.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || !inBBox(lat, lon)) {
+    return null;
+  }
+  return assignCity(lat, lon);
+}
+
+/** Risk level from the covered share of the city's area */
+function hazardLevel(count, share) {
+  if (count === 0) return 'なし';
+  if (share == null) return '該当あり';
+  if (share >= 0.1) return '高';
+  if (share >= 0.02) return '中';
+  return '低';
+}
+
 function inBBox(lat, lon) {
   return (
     lat >= BBOX.br.lat &&
@@ -194,6 +439,66 @@ function inBBox(lat, lon) {
   );
 }
 
+// ---------------------------------------------------------------------------
+// Flood depth polygons
+// ---------------------------------------------------------------------------
+
+/** Download depth GeoJSON files that are not cached yet */
+async function downloadFloodDepthFiles() {
+  if (FLOOD_DEPTH_URLS.length === 0) return;
+  mkdirSync(FLOOD_DEPTH_DIR, { recursive: true });
+  for (const url of FLOOD_DEPTH_URLS) {
+    const dest = join(FLOOD_DEPTH_DIR, basename(new URL(url).pathname));
+    if (existsSync(dest)) continue;
+    const res = await fetch(url);
+    if (!res.ok) {
+      const err = new Error(`浸水深データ ${res.status}: ${url}`);
+      err.status = res.status;
+      throw err;
+    }
+    writeFileSync(dest, Buffer.from(await res.arrayBuffer()));
+    console.log(`  ↓ ${basename(dest)}`);
+  }
+}
+
+/**
+ * Depth-rank zones inside the bbox, limited to the target rivers when the
+ * feature carries a river name.
+ */
+function loadFloodDepthZones(floodRivers) {
+  if (!existsSync(FLOOD_DEPTH_DIR)) return [];
+  const riverNames = floodRivers.map((r) => r.name);
+  const isTargetRiver = (river) =>
+    !river ||
+    riverNames.some((n) => n.includes(river) || river.includes(n));
+
+  const zones = [];
+  const files = readdirSync(FLOOD_DEPTH_DIR).filter((f) =>
+    /\.(geo)?json$/.test(f),
+  );
+  for (const f of files) {
+    const geojson = JSON.parse(readFileSync(join(FLOOD_DEPTH_DIR, f), 'utf-8'));
+    let kept = 0;
+    for (const feature of geojson.features || []) {
+      const z = normalizeFloodDepthFeature(feature);
+      if (!z || !isTargetRiver(z.river)) continue;
+      const bbox = geometryBBox(z.geometry);
+      if (
+        bbox.east < BBOX.tl.lon ||
+        bbox.west > BBOX.br.lon ||
+        bbox.north < BBOX.br.lat ||
+        bbox.south > BBOX.tl.lat
+      ) {
+        continue;
+      }
+      zones.push({ ...z, bbox });
+      kept++;
+    }
+    console.log(`  [浸水深] ${f}: ${kept} / ${(geojson.features || []).length}`);
+  }
+  return zones;
+}
+
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
@@ -203,10 +508,28 @@ async function main() {
   console.log('║  MLIT DPF データ取得 (fetch-mlit-data.mjs)  ║');
   console.log('╚══════════════════════════════════════════════╝\n');
 
+  // A boundary file that lacks a target city would silently mix polygon and
+  // nearest-center assignment, so it always fails; a missing file only fails
+  // with --require-boundaries (the workflow downloads N03 first).
+  if (locateCity) {
+    console.log(`市町割り当て: 行政区域ポリゴン (${BOUNDARIES.path})\n`);
+  } else if (BOUNDARIES) {
+    const names = BOUNDARIES.missing.map((id) => CITIES[id].name).join('、');
+    console.error(`💥 行政区域ファイル (${BOUNDARIES.path}) に ${names} がありません`);
+    console.error('   国土数値情報 N03 の三重県 GeoJSON を置き直してください');
+    process.exit(1);
+  } else if (OPTS.requireBoundaries) {
+    console.error(`💥 行政区域ファイルがありません (${BOUNDARIES_PATH})`);
+    process.exit(1);
+  } else {
+    console.warn('  ⚠ 行政区域ファイルがありません — 最寄り中心点で割り当てます');
+    console.warn(`    ${BOUNDARIES_PATH} に国土数値情報 N03 の GeoJSON を配置してください\n`);
+  }
+
   // ------------------------------------------------------------------
   // 1. 洪水浸水想定区域 — all of Mie prefecture
   // ------------------------------------------------------------------
-  console.log('1/4  洪水浸水想定区域 …');
+  console.log('1/5  洪水浸水想定区域 …');
   const floodRaw = await searchAll({
     term: '三重',
     attributeFilter: dsFilter(DS.flood),
@@ -241,8 +564,62 @@ async function main() {
 
   console.log(`  → 北部三重 対象河川: ${floodRivers.length} 件\n`);
 
+  console.log('1/5  洪水浸水想定区域（浸水深ランク） …');
+  await downloadFloodDepthFiles();
+  const floodDepthZones = loadFloodDepthZones(floodRivers);
+  if (floodDepthZones.length === 0 && OPTS.requireFloodDepth) {
+    console.error(`💥 浸水深ポリゴンがありません（${FLOOD_DEPTH_DIR}）`);
+    process.exit(1);
+  } else if (floodDepthZones.length === 0) {
+    console.warn(`  ⚠ 浸水深ポリゴンがありません（${FLOOD_DEPTH_DIR}）— 河川数でリスクを判定します\n`);
+  } else {
+    console.log(`  → 浸水深ポリゴン: ${floodDepthZones.length} 件\n`);
+  }
+
+  // ------------------------------------------------------------------
+  // 2. Hazard zones — per layer, Mie prefecture → assigned to cities
+  //    A failing layer is reported as 'データなし' instead of aborting.
+  // ------------------------------------------------------------------
+  const hazardZones = {};
+  for (const layer of HAZARD_LAYERS) {
+    if (!layer.dsId) {
+      console.log(`2/5  ${layer.label}: データセット ID 未設定のためスキップ\n`);
+      hazardZones[layer.key] = null;
+      continue;
+    }
+    console.log(`2/5  ${layer.label} (${layer.dsId}) …`);
+    try {
+      const raw = await searchAll({
+        term: '',
+        attributeFilter: andFilter(layer.dsId),
+        fields: 'id title lat lon dataset_id metadata',
+        maxResults: layer.max,
+        label: layer.label,
+      });
+      const zones = [];
+      for (const r of raw) {
+        const geometry = recordGeometry(r);
+        const center = geometry ? geometryCenter(geometry) : null;
+        const cityId = hazardCity(r, center);
+        if (!cityId) continue;
+        zones.push({
+          cityId,
+          name: r.title || '',
+          areaKm2: geometry ? polygonAreaKm2(geometry) : null,
+          geometry,
+        });
+      }
+      hazardZones[layer.key] = raw.length > 0 ? zones : null;
+      console.log(`  → 対象市町: ${zones.length} 区域 (県全体 ${raw.length})\n`);
+    } catch (err) {
+      console.warn(`  ⚠ ${layer.label} の取得に失敗: ${err.message}\n`);
+      hazardZones[layer.key] = null;
+    }
+    await sleep(300);
+  }
+
   // ------------------------------------------------------------------
-  // 2-4. Facilities for Mie prefecture (no locationFilter)
+  // 3-5. Facilities for Mie prefecture (no locationFilter)
   //      → post-filter by bounding box
   // ------------------------------------------------------------------
   const facilityTypes = [
@@ -254,7 +631,7 @@ async function main() {
   const rawByType = {};
   for (let i = 0; i < facilityTypes.length; i++) {
     const ft = facilityTypes[i];
-    console.log(`${i + 2}/4  ${ft.label} (三重県全域 → 北部絞り込み) …`);
+    console.log(`${i + 3}/5  ${ft.label} (三重県全域 → 北部絞り込み) …`);
 
     const raw = await searchAll({
       term: '',
@@ -293,11 +670,24 @@ async function main() {
     park: 'parks',
   };
 
+  // Reassignment report: boundary result vs. the old nearest-centroid result
+  const reassignment = { moved: {}, dropped: {}, total: 0 };
+
   for (const [typeKey, items] of Object.entries(rawByType)) {
     for (const item of items) {
       const lat = parseFloat(item.lat);
       const lon = parseFloat(item.lon);
-      const cityId = nearestCity(lat, lon);
+      const cityId = assignCity(lat, lon);
+      if (locateCity) {
+        reassignment.total++;
+        const oldId = nearestCity(lat, lon);
+        if (!cityId) {
+          reassignment.dropped[oldId] = (reassignment.dropped[oldId] || 0) + 1;
+        } else if (cityId !== oldId) {
+          const key = `${oldId}→${cityId}`;
+          reassignment.moved[key] = (reassignment.moved[key] || 0) + 1;
+        }
+      }
       if (!cityId) continue;
       facilitiesByCity[cityId][bucketKey[typeKey]].push({
         name: item.title,
@@ -315,15 +705,77 @@ async function main() {
     const rivers = floodRivers.filter((r) =>
       r.municipalityNames.includes(c.name),
     );
-    floodByCity[id] = {
-      rivers: rivers.map((r) => r.name),
-      riskLevel:
-        rivers.length >= 2
-          ? '高'
-          : rivers.length === 1
-            ? '中'
-            : 'データなし',
-    };
+    const depth = floodDepthZones.length > 0
+      ? summarizeCityFloodDepth(floodDepthZones, {
+        boundary: locateCity ? BOUNDARIES.byId.get(id) : null,
+      })
+      : null;
+    floodByCity[id] = depth
+      ? {
+        rivers: rivers.map((r) => r.name),
+        riskLevel: depth.riskLevel,
+        riskScore: depth.riskScore,
+        source: 'depth',
+        depth: {
+          method: depth.method,
+          shares: depth.shares,
+          inundatedShare: depth.inundatedShare,
+        },
+      }
+      : {
+        rivers: rivers.map((r) => r.name),
+        riskLevel:
+          rivers.length >= 2
+            ? '高'
+            : rivers.length === 1
+              ? '中'
+              : 'データなし',
+        riskScore: null,
+        source: 'rivers',
+        depth: null,
+      };
+  }
+
+  // ------------------------------------------------------------------
+  // Build hazard-layer summary per city
+  // ------------------------------------------------------------------
+  const hazardsByCity = {};
+  for (const [id, c] of Object.entries(CITIES)) {
+    hazardsByCity[id] = {};
+    for (const layer of HAZARD_LAYERS) {
+      const all = hazardZones[layer.key];
+      if (!all) {
+        hazardsByCity[id][layer.key] = {
+          count: null, areaKm2: null, share: null, level: 'データなし', polygons: [],
+        };
+        continue;
+      }
+      const zones = all.filter((z) => z.cityId === id);
+      const measured = zones.filter((z) => z.areaKm2 != null);
+      // No zones at all is a measured 0 km²; zones without geometry are unknown
+      const areaKm2 = measured.length > 0
+        ? measured.reduce((s, z) => s + z.areaKm2, 0)
+        : zones.length === 0 ? 0 : null;
+      const share = areaKm2 != null && c.areaKm2
+        ? Math.min(1, areaKm2 / c.areaKm2)
+        : null;
+      const polygons = measured
+        .sort((a, b) => b.areaKm2 - a.areaKm2)
+        .slice(0, REPRESENTATIVE_POLYGONS)
+        .map((z) => ({
+          name: z.name,
+          areaKm2: Math.round(z.areaKm2 * 1000) / 1000,
+          geometry: simplifyGeometry(z.geometry),
+        }))
+        .filter((p) => p.geometry);
+      hazardsByCity[id][layer.key] = {
+        count: zones.length,
+        areaKm2: areaKm2 != null ? Math.round(areaKm2 * 100) / 100 : null,
+        share: share != null ? Math.round(share * 10000) / 10000 : null,
+        level: hazardLevel(zones.length, share),
+        polygons,
+      };
+    }
   }
 
   // ------------------------------------------------------------------
@@ -336,6 +788,7 @@ async function main() {
     sourceUrl: 'https://www.mlit-data.jp/',
     attribution:
       '本データは国土交通省データプラットフォーム（CC BY 4.0）のデータを使用しています。',
+    cityAssignment: locateCity ? 'boundary' : 'nearest',
     floodRivers,
     facilitiesByCity: {},
   };
@@ -346,9 +799,13 @@ async function main() {
       name: c.name,
       floodRivers: floodByCity[id].rivers,
       floodRiskLevel: floodByCity[id].riskLevel,
+      floodRiskScore: floodByCity[id].riskScore,
+      floodRiskSource: floodByCity[id].source,
+      floodDepth: floodByCity[id].depth,
       evacuationShelterCount: data.evacuationShelters.length,
       schoolCount: data.schools.length,
       parkCount: data.parks.length,
+      hazards: hazardsByCity[id],
       // Full shelter list for Leaflet map markers
       shelterList: data.evacuationShelters,
     };
@@ -363,6 +820,32 @@ async function main() {
   const outPath = join(outDir, 'mlit-hazard.json');
   writeFileSync(outPath, JSON.stringify(output, null, 2), 'utf-8');
 
+  // Zone polygons for per-district annotation (null = layer unavailable)
+  const ZONE_SIMPLIFY = { tolerance: 0.0002, digits: 5 };
+  const zonesOut = {
+    lastUpdated: output.lastUpdated,
+    sediment: hazardZones.sediment
+      ? hazardZones.sediment
+        .filter((z) => z.geometry)
+        .map((z) => ({
+          cityId: z.cityId,
+          name: z.name,
+          geometry: simplifyGeometry(z.geometry, ZONE_SIMPLIFY),
+        }))
+        .filter((z) => z.geometry)
+      : null,
+    floodDepth: floodDepthZones.length > 0
+      ? floodDepthZones
+        .map((z) => ({
+          rank: z.rank,
+          geometry: simplifyGeometry(z.geometry, ZONE_SIMPLIFY),
+        }))
+        .filter((z) => z.geometry)
+      : null,
+  };
+  const zonesPath = join(outDir, 'hazard-zones.json');
+  writeFileSync(zonesPath, JSON.stringify(zonesOut) + '\n', 'utf-8');
+
   // ------------------------------------------------------------------
   // Summary
   // ------------------------------------------------------------------
@@ -371,7 +854,9 @@ async function main() {
   console.log('║  完了                                        ║');
   console.log('╚══════════════════════════════════════════════╝');
   console.log(`出力:   ${outPath}`);
+  console.log(`        ${zonesPath}`);
   console.log(`API数:  ${_reqCount}`);
+  console.log(`キャッシュ: ${_cacheHits} ページ再利用 (${CACHE_DIR})`);
   console.log(`時間:   ${elapsed} s\n`);
 
   console.log('--- 洪水河川 ---');
@@ -381,6 +866,51 @@ async function main() {
     );
   }
 
+  if (locateCity) {
+    const moved = Object.entries(reassignment.moved).sort((a, b) => b[1] - a[1]);
+    const dropped = Object.entries(reassignment.dropped).sort((a, b) => b[1] - a[1]);
+    const sum = (list) => list.reduce((s, [, n]) => s + n, 0);
+    console.log('\n--- 市町割り当て: 最寄り中心点 → 行政区域 ---');
+    console.log(
+      `  対象施設 ${reassignment.total} 件 / 変更 ${sum(moved)} 件 / 対象外で除外 ${sum(dropped)} 件`,
+    );
+    for (const [key, n] of moved) {
+      const [from, to] = key.split('→');
+      console.log(`  ${CITIES[from].name} → ${CITIES[to].name}: ${n}`);
+    }
+    for (const [from, n] of dropped) {
+      console.log(`  ${CITIES[from].name} → (対象外): ${n}`);
+    }
+  }
+
+  if (floodDepthZones.length > 0) {
+    console.log('\n--- 市町村別 浸水深別面積割合 ---');
+    console.log(
+      '  ' + '市町村'.padEnd(8) + FLOOD_DEPTH_BANDS.map((b) => b.label.padStart(9)).join('') + '  スコア',
+    );
+    for (const [, d] of Object.entries(output.facilitiesByCity)) {
+      if (!d.floodDepth) {
+        console.log(`  ${d.name.padEnd(8)} 割合を算出できず（河川数で判定）`);
+        continue;
+      }
+      const cells = FLOOD_DEPTH_BANDS.map((b) =>
+        `${(d.floodDepth.shares[b.key] * 100).toFixed(1)}%`.padStart(9),
+      );
+      console.log(`  ${d.name.padEnd(8)}${cells.join('')}  ${d.floodRiskScore} (${d.floodRiskLevel})`);
+    }
+  }
+
+  console.log('\n--- 市町村別ハザード区域 (件数 / 面積割合) ---');
+  for (const [, d] of Object.entries(output.facilitiesByCity)) {
+    const cells = HAZARD_LAYERS.map((layer) => {
+      const h = d.hazards[layer.key];
+      if (h.count == null) return `${layer.label}: データなし`;
+      const pct = h.share != null ? `${(h.share * 100).toFixed(1)}%` : '—';
+      return `${layer.label}: ${h.count} / ${pct}`;
+    });
+    console.log(`  ${d.name.padEnd(6)} ${cells.join('  ')}`);
+  }
+
   console.log('\n--- 市町村別施設数 ---');
   const header =
     '市町村'.padEnd(12) +
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * 取引のヘドニック回帰 → data/hedonic-estimates.json
+ * 四半期ストア（data/transactions/、無いエリアは data/live-data.json）の正規化済み取引から
+ * scripts/lib/hedonic.mjs のモデルを推定し、市町・地区ごとに「50坪・宅地・その市町で最も多い用途地域の標準区画」の坪単価と 95% 信頼区間を書き出す。
+ * build-pages.mjs がエリアページの HEDONIC_ESTIMATES に注入し、index.html（物件比較）は JSON をそのまま読む。
+ *
+ * 使い方:
+ *   node scripts/fit-hedonic.mjs
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { listQuarters, assembleTransactions } from './lib/transaction-store.mjs';
+import { districtKey } from './lib/district-coords.mjs';
+import { fitHedonicModel, MIN_DISTRICT_TRADES } from './lib/hedonic.mjs';
+import { classifyTransactions, TRADE_QUALITY } from './lib/trade-quality.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const LIVE_DATA_PATH = join(ROOT, 'data', 'live-data.json');
+const OUTPUT_PATH = join(ROOT, 'data', 'hedonic-estimates.json');
+
+/**
+ * エリアごとの取引（ストア優先。live-data.json はストアから組み立てたものなので重ねない）
+ * 外れ値と判定された取引は回帰に入れない（農地・林地は種別ダミーで扱うので残す）
+ */
+function collectSamples(areas) {
+  const live = existsSync(LIVE_DATA_PATH) ? JSON.parse(readFileSync(LIVE_DATA_PATH, 'utf-8')) : null;
+  const samples = [];
+  for (const area of areas) {
+    const quarters = listQuarters(area.id);
+    const transactions = quarters.length > 0
+      ? assembleTransactions(area.id, quarters).transactions
+      : live?.areas?.[area.id]?.transactions || [];
+    for (const tx of classifyTransactions(transactions)) {
+      if (tx.quality === TRADE_QUALITY.outlier) continue;
+      samples.push({ tx, cityId: area.id, districtKey: tx.District ? districtKey(area.name, tx.District) : null });
+    }
+  }
+  return samples;
+}
+
+function main() {
+  const registry = loadAreaRegistry();
+  const samples = collectSamples(registry.areas);
+  console.log(`📐 ヘドニック回帰: 取引 ${samples.length}件`);
+
+  const { model, cities, districts } = fitHedonicModel(samples);
+  console.log(`   使用 ${model.n}件 / R² ${model.r2} / σ ${model.sigma} / 時点 ${model.referenceQuarters.join(',')}・基準市町 ${model.baseCity}`);
+  for (const [id, c] of Object.entries(cities)) {
+    const name = registry.areas.find(a => a.id === id)?.name || id;
+    console.log(`   ${name}: ${(c.tsuboPrice / 10000).toFixed(1)}万円/坪（${(c.lower / 10000).toFixed(1)}〜${(c.upper / 10000).toFixed(1)}、${c.zoning}、${c.n}件）`);
+  }
+  console.log(`   地区: ${Object.keys(districts).length}件（${MIN_DISTRICT_TRADES}件以上の地区、縮小 k=${model.districtShrinkage.k}）`);
+
+  writeFileSync(OUTPUT_PATH, JSON.stringify({ generatedAt: new Date().toISOString(), model, cities, districts }, null, 2) + '\n', 'utf-8');
+  console.log(`💾 保存先: ${OUTPUT_PATH}`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('💥 Fatal error:', e.message || e);
+  process.exit(1);
+}
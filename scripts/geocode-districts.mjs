@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * 取引地区のジオコーディング → data/district-coords.json
+ * 取引データ（data/transactions/ と data/live-data.json）に出てくる地区を `${cityName}-${district}` 単位で
+ * 国土地理院 住所検索 API → Nominatim の順に引き、座標・取得元・confidence を記録する。
+ * build-pages.mjs がこの表をエリアページの DISTRICT_COORDS に注入するので、ブラウザからは検索しない。
+ *
+ * 既に表にある地区は引き直さない（新しい地区だけ検索する）。
+ * 誤った位置になる地区は data/district-overrides.json に { "市名-地区": { "lat", "lng", "note" } } を書くと
+ * 検索せずその座標を使う（null なら座標を出さない）。
+ *
+ * 使い方:
+ *   node scripts/geocode-districts.mjs                   # 新しい地区だけ検索
+ *   node scripts/geocode-districts.mjs --retry-missing   # 見つからなかった地区・low も再検索
+ *   node scripts/geocode-districts.mjs --refresh         # 全地区を再検索
+ *   node scripts/geocode-districts.mjs --area=yokkaichi --limit=50
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadAreaRegistry } from './lib/areas.mjs';
+import { listQuarters, assembleTransactions } from './lib/transaction-store.mjs';
+import { loadMunicipalBoundaries, createBoundaryLocator } from './lib/boundaries.mjs';
+import {
+  DISTRICT_COORDS_PATH, districtKey, loadDistrictCoords, loadDistrictOverrides,
+} from './lib/district-coords.mjs';
+import {
+  GSI_SEARCH_URL, NOMINATIM_SEARCH_URL, geocodeGSI, geocodeNominatim, matchConfidence, compareConfidence,
+} from './lib/geocoders.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const LIVE_DATA_PATH = join(ROOT, 'data', 'live-data.json');
+
+// ============================================================
+// Configuration
+// ============================================================
+// 環境変数で上書き可能（ローカルのスタブサーバーで試すとき等）
+const CONFIG = {
+  GSI_URL: process.env.GSI_SEARCH_URL || GSI_SEARCH_URL,
+  NOMINATIM_URL: process.env.NOMINATIM_SEARCH_URL || NOMINATIM_SEARCH_URL,
+  USER_AGENT: process.env.NOMINATIM_USER_AGENT || 'MieRealEstateApp/1.0 (+https://research.chuumon-soudan.com)',
+  GSI_INTERVAL_MS: 300,
+  NOMINATIM_INTERVAL_MS: 1100,  // Nominatim の利用規約は 1 req/s
+};
+
+const registry = loadAreaRegistry();
+const { prefName: PREF_NAME, bbox: BBOX } = registry;
+
+function parseArgs(argv) {
+  const opts = { refresh: false, retryMissing: false, areaIds: null, limit: Infinity };
+  for (const arg of argv) {
+    if (arg === '--refresh') opts.refresh = true;
+    if (arg === '--retry-missing') opts.retryMissing = true;
+    let m = arg.match(/^--area=(.+)$/);
+    if (m) opts.areaIds = m[1].split(',');
+    m = arg.match(/^--limit=(\d+)$/);
+    if (m) opts.limit = parseInt(m[1], 10);
+  }
+  return opts;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ============================================================
+// 地区の収集
+// ============================================================
+
+/** エリアごとの地区名（取引件数の多い順） */
+function collectDistricts(areas) {
+  const live = existsSync(LIVE_DATA_PATH) ? JSON.parse(readFileSync(LIVE_DATA_PATH, 'utf-8')) : null;
+  const result = [];
+  for (const area of areas) {
+    const { transactions } = assembleTransactions(area.id, listQuarters(area.id));
+    const all = transactions.concat(live?.areas?.[area.id]?.transactions || []);
+    const counts = new Map();
+    for (const tx of all) {
+      if (!tx.District) continue;
+      counts.set(tx.District, (counts.get(tx.District) || 0) + 1);
+    }
+    for (const [district, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+      result.push({ area, district, count, key: districtKey(area.name, district) });
+    }
+  }
+  return result;
+}
+
+// ============================================================
+// 検索
+// ============================================================
+
+function inRegion(c) {
+  return c.lat >= BBOX.south && c.lat <= BBOX.north && c.lng >= BBOX.west && c.lng <= BBOX.east;
+}
+
+/**
+ * 候補に confidence を付け、対象範囲外は捨てる。行政区域があれば市町外の候補を low に落とす
+ */
+function rateCandidates(candidates, area, district, locate) {
+  return candidates.filter(inRegion).map(c => {
+    let confidence = matchConfidence(c.matched, area.name, district);
+    if (locate && locate(c.lat, c.lng) !== area.id) confidence = 'low';
+    return { ...c, confidence };
+  });
+}
+
+function better(best, candidates) {
+  for (const c of candidates) {
+    if (!best || compareConfidence(c.confidence, best.confidence) > 0) best = c;
+  }
+  return best;
+}
+
+/**
+ * 1地区を検索する。候補が無く API エラーもあった場合は undefined（表に書かず次回引き直す）
+ */
+async function geocodeOne({ area, district }, locate, stats) {
+  let best = null;
+  let failed = false;
+
+  for (const q of [`${PREF_NAME}${area.name}${district}`, `${area.name}${district}`]) {
+    try {
+      best = better(best, rateCandidates(await geocodeGSI(q, { baseUrl: CONFIG.GSI_URL }), area, district, locate));
+    } catch (e) {
+      stats.errors++;
+      failed = true;
+      console.warn(`  ⚠️ GSI ${q}: ${e.message}`);
+    }
+    await sleep(CONFIG.GSI_INTERVAL_MS);
+    if (best?.confidence === 'high') break;
+  }
+
+  if (best?.confidence !== 'high') {
+    for (const q of [`${district}, ${area.name}, ${PREF_NAME}`, `${district}, ${area.name}`]) {
+      try {
+        const found = await geocodeNominatim(q, { baseUrl: CONFIG.NOMINATIM_URL, userAgent: CONFIG.USER_AGENT });
+        best = better(best, rateCandidates(found, area, district, locate));
+      } catch (e) {
+        stats.errors++;
+        failed = true;
+        console.warn(`  ⚠️ Nominatim ${q}: ${e.message}`);
+      }
+      await sleep(CONFIG.NOMINATIM_INTERVAL_MS);
+      if (best && compareConfidence(best.confidence, 'medium') >= 0) break;
+    }
+  }
+
+  if (!best) return failed ? undefined : null;
+  return {
+    lat: Math.round(best.lat * 1e6) / 1e6,
+    lng: Math.round(best.lng * 1e6) / 1e6,
+    source: best.source,
+    confidence: best.confidence,
+    matched: best.matched,
+  };
+}
+
+function needsLookup(entry, opts) {
+  if (opts.refresh) return true;
+  if (entry === undefined) return true;
+  return opts.retryMissing && (entry === null || entry.confidence === 'low');
+}
+
+// ============================================================
+// Main
+// ============================================================
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const areas = opts.areaIds ? registry.areas.filter(a => opts.areaIds.includes(a.id)) : registry.areas;
+  const previous = loadDistrictCoords();
+  const overrides = loadDistrictOverrides();
+  const boundaries = loadMunicipalBoundaries(registry.areas);
+  const locate = boundaries ? createBoundaryLocator(boundaries) : null;
+
+  console.log('📍 取引地区ジオコーディング開始');
+  console.log(`   対象エリア: ${areas.map(a => a.name).join(', ')}`);
+  console.log(`   行政区域: ${boundaries ? boundaries.path : 'なし（市町外判定をしない）'}`);
+  console.log(`   手動補正: ${Object.keys(overrides).length}件\n`);
+
+  const districts = collectDistricts(areas);
+  const table = { ...(previous?.districts || {}) };
+  const stats = { manual: 0, kept: 0, errors: 0 };
+
+  const todo = [];
+  for (const d of districts) {
+    if (d.key in overrides) {
+      const o = overrides[d.key];
+      table[d.key] = o ? { lat: o.lat, lng: o.lng, source: 'manual', confidence: 'high', matched: o.note || '' } : null;
+      stats.manual++;
+    } else if (needsLookup(table[d.key], opts)) {
+      todo.push(d);
+    } else {
+      stats.kept++;
+    }
+  }
+  const batch = todo.slice(0, opts.limit);
+  console.log(`🗂 地区 ${districts.length}件（手動 ${stats.manual} / 取得済み ${stats.kept} / 検索 ${batch.length}${todo.length > batch.length ? ` ※残り${todo.length - batch.length}件は次回` : ''}）`);
+
+  for (const [i, d] of batch.entries()) {
+    const entry = await geocodeOne(d, locate, stats);
+    if (entry !== undefined) table[d.key] = entry;
+    const label = entry ? `${entry.source} ${entry.confidence} (${entry.matched})` : entry === null ? '見つからず' : 'API エラー（次回再検索）';
+    console.log(`  [${i + 1}/${batch.length}] ${d.key}（${d.count}件）→ ${label}`);
+  }
+
+  const entries = Object.values(table);
+  const summary = {
+    high: entries.filter(e => e?.confidence === 'high').length,
+    medium: entries.filter(e => e?.confidence === 'medium').length,
+    low: entries.filter(e => e?.confidence === 'low').length,
+    missing: entries.filter(e => e === null).length,
+  };
+
+  const sorted = Object.fromEntries(Object.keys(table).sort().map(k => [k, table[k]]));
+  writeFileSync(DISTRICT_COORDS_PATH, JSON.stringify({ generatedAt: new Date().toISOString(), districts: sorted }, null, 2) + '\n', 'utf-8');
+
+  console.log(`\n📊 high ${summary.high} / medium ${summary.medium} / low ${summary.low} / 見つからず ${summary.missing}（API エラー ${stats.errors}回）`);
+  const review = districts
+    .filter(d => !(d.key in overrides) && (!table[d.key] || table[d.key].confidence === 'low'))
+    .slice(0, 20);
+  if (review.length > 0) {
+    console.log('🔎 要確認（ページでは駅ベースの推定位置を使用。data/district-overrides.json で補正可）:');
+    for (const d of review) console.log(`   ${d.key}（${d.count}件）${table[d.key] ? ` → ${table[d.key].matched}` : ''}`);
+  }
+  console.log(`💾 保存先: ${DISTRICT_COORDS_PATH}`);
+}
+
+main().catch(e => {
+  console.error('💥 Fatal error:', e.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * エリア診断アプリの表示状態と URL クエリの相互変換
+ * エリアページにインライン展開し、表示タブ・選択中の市町/地区・重み・比較の列をクエリに書いて、
+ * 共有・ブックマーク・ブラウザの戻る/進むで同じ画面を再現する:
+ *   view=compare|map（ランキングは省略）  area=tsu（詳細を開いている市町）
+ *   city=tsu  district=久居新町（地図で選んでいる市町・地区。地図表示のときだけ書く）
+ *   w=20.18.13.13.13.10.13（重み。APP_WEIGHT_KEYS の順）  cols=pricePerTsubo,total（比較の列）
+ * ページの既定値と同じものは書かない。既定で詳細を開く市町ページで閉じたときは area= と空で書く。
+ * tx_ で始まるキー（tx-filter.mjs）や mcp など他のキーはそのまま残す。
+ */
+
+export const APP_VIEWS = ['ranking', 'compare', 'map'];
+export const APP_WEIGHT_KEYS = ['price', 'access', 'growth', 'living', 'family', 'nature', 'safety'];
+
+const MAX_WEIGHT = 50;
+
+/**
+ * 状態のうち URL に載せる部分（旧形式の view: 'detail' は「ランキング＋詳細」として扱う）
+ * @param {object} s - アプリの state
+ * @returns {{ view: string, selectedAreaId: string|null, mapSelectedAreaId: string|null, districtName: string|null, weights: Object<string, number>, cmpSelectedColumns: string[] }}
+ */
+export function appUrlSnapshot(s) {
+  const view = APP_VIEWS.includes(s.view) ? s.view : 'ranking';
+  const mapSelectedAreaId = view === 'map' ? s.mapSelectedAreaId || null : null;
+  const district = s.mapSelectedDistrict;
+  return {
+    view,
+    selectedAreaId: s.selectedAreaId || null,
+    mapSelectedAreaId,
+    districtName: mapSelectedAreaId && district && district.cityId === mapSelectedAreaId ? district.districtName : null,
+    weights: Object.fromEntries(APP_WEIGHT_KEYS.map(k => [k, s.weights[k]])),
+    cmpSelectedColumns: [...s.cmpSelectedColumns],
+  };
+}
+
+/**
+ * 戻る/進むの単位（これが変わる操作は履歴を積み、重みや列の変更は今の履歴を書き換える）
+ * @param {ReturnType<typeof appUrlSnapshot>} snap
+ * @returns {string}
+ */
+export function appNavigationKey(snap) {
+  return [snap.view, snap.selectedAreaId, snap.mapSelectedAreaId, snap.districtName].map(v => v ?? '').join('|');
+}
+
+function parseWeights(value) {
+  const parts = String(value || '').split('.');
+  if (parts.length !== APP_WEIGHT_KEYS.length || !parts.every(p => /^\d+$/.test(p) && Number(p) <= MAX_WEIGHT)) return null;
+  return Object.fromEntries(APP_WEIGHT_KEYS.map((k, i) => [k, Number(parts[i])]));
+}
+
+/**
+ * URL のクエリから状態を読む（無いキー・不正な値は既定値）
+ * @param {URLSearchParams} params
+ * @param {ReturnType<typeof appUrlSnapshot>} defaults - ページの既定状態
+ * @param {{ areaIds: string[], columnKeys: string[] }} allowed
+ * @returns {ReturnType<typeof appUrlSnapshot>}
+ */
+export function appStateFromParams(params, defaults, { areaIds, columnKeys }) {
+  const areaOf = key => {
+    if (!params.has(key)) return undefined;
+    const id = params.get(key);
+    return areaIds.includes(id) ? id : null;
+  };
+  const view = APP_VIEWS.includes(params.get('view')) ? params.get('view') : defaults.view;
+  const selectedAreaId = areaOf('area');
+  const city = view === 'map' ? areaOf('city') ?? null : null;
+  const cols = String(params.get('cols') || '').split(',').filter(k => columnKeys.includes(k));
+  return {
+    view,
+    selectedAreaId: selectedAreaId === undefined ? defaults.selectedAreaId : selectedAreaId,
+    mapSelectedAreaId: city,
+    districtName: city ? params.get('district') || null : null,
+    weights: parseWeights(params.get('w')) || { ...defaults.weights },
+    cmpSelectedColumns: cols.length > 0 ? cols : [...defaults.cmpSelectedColumns],
+  };
+}
+
+/**
+ * 状態を URL のクエリに書く（既定値と同じキーは消す。他のキーはそのまま残す）
+ * @param {ReturnType<typeof appUrlSnapshot>} snap
+ * @param {ReturnType<typeof appUrlSnapshot>} defaults
+ * @param {URLSearchParams} params - 書き換える対象
+ * @returns {URLSearchParams}
+ */
+export function appStateToParams(snap, defaults, params) {
+  const weights = APP_WEIGHT_KEYS.map(k => snap.weights[k]).join('.');
+  const cols = snap.cmpSelectedColumns.join(',');
+  const values = {
+    view: snap.view !== defaults.view ? snap.view : null,
+    area: snap.selectedAreaId !== defaults.selectedAreaId ? snap.selectedAreaId || '' : null,
+    city: snap.mapSelectedAreaId,
+    district: snap.districtName,
+    w: weights !== APP_WEIGHT_KEYS.map(k => defaults.weights[k]).join('.') ? weights : null,
+    cols: cols !== defaults.cmpSelectedColumns.join(',') ? cols : null,
+  };
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null) params.delete(key);
+    else params.set(key, value);
+  }
+  return params;
+}
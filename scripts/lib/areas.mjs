@@ -0,0 +1,54 @@
+/**
+ * 対象エリアのレジストリ（data/areas.json）
+ * id・名称・JISコード（5桁）・DPFコード（6桁 = JIS + 検査数字）・中心座標・URLスラッグを一元管理する。
+ * areaKm2（行政区域面積）は任意項目で、ハザード区域の面積割合の分母に使う。
+ * fetch-data / fetch-mlit-data / build-pages はここから読み、エリアの追加は JSON の編集だけで済む。
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const AREA_REGISTRY_PATH = join(ROOT, 'data', 'areas.json');
+
+const REQUIRED_FIELDS = ['id', 'slug', 'name', 'jisCode', 'dpfCode', 'lat', 'lng'];
+
+/**
+ * 全国地方公共団体コードの検査数字（5桁 → 6桁目）
+ * @param {string} code5 - '24324' など
+ * @returns {string}
+ */
+export function jisCheckDigit(code5) {
+  const sum = [...code5].reduce((s, d, i) => s + parseInt(d, 10) * (6 - i), 0);
+  const r = sum % 11;
+  return String(r === 0 ? 1 : r === 1 ? 0 : 11 - r);
+}
+
+/**
+ * レジストリを読み込み、必須項目とコードの整合性を検証する
+ * @returns {{ prefCode: string, prefName: string, bbox: { north: number, south: number, west: number, east: number }, areas: Array<object> }}
+ */
+export function loadAreaRegistry() {
+  const registry = JSON.parse(readFileSync(AREA_REGISTRY_PATH, 'utf-8'));
+  const ids = new Set();
+
+  for (const area of registry.areas) {
+    const missing = REQUIRED_FIELDS.filter(f => area[f] === undefined || area[f] === '');
+    if (missing.length > 0) {
+      throw new Error(`data/areas.json: ${area.id || '(id なし)'} に ${missing.join(', ')} がありません`);
+    }
+    if (ids.has(area.id)) throw new Error(`data/areas.json: id "${area.id}" が重複しています`);
+    ids.add(area.id);
+
+    if (!/^\d{5}$/.test(area.jisCode) || !area.jisCode.startsWith(registry.prefCode)) {
+      throw new Error(`data/areas.json: ${area.id} の jisCode "${area.jisCode}" が不正です`);
+    }
+    const expected = area.jisCode + jisCheckDigit(area.jisCode);
+    if (area.dpfCode !== expected) {
+      throw new Error(`data/areas.json: ${area.id} の dpfCode "${area.dpfCode}" が jisCode と一致しません（期待値 ${expected}）`);
+    }
+  }
+  return registry;
+}
@@ -0,0 +1,73 @@
+/**
+ * 行政区域（市区町村界）ポリゴンの読み込みと、座標 → 対象エリアの割り当て
+ * fetch-mlit-data.mjs が避難施設・学校・公園・ハザード区域を市町に振り分けるのに使う。
+ *
+ * 入力は国土数値情報「行政区域（N03）」の GeoJSON を想定（1市町が複数 Feature に分かれていてよい）。
+ * Feature は行政区域コード（N03_007 / jisCode / code）の先頭5桁で、無ければ市区町村名（N03_004 / name）で
+ * data/areas.json のエリアと突き合わせる。対象外の市町の Feature は読み飛ばす。
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parsePolygonGeometry, geometryBBox, pointInGeometry } from './geo.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const BOUNDARIES_PATH = join(ROOT, 'data', 'boundaries', 'municipalities.geojson');
+
+const CODE_KEYS = ['N03_007', 'jisCode', 'code', 'city_code'];
+const NAME_KEYS = ['N03_004', 'name'];
+
+function featureAreaId(props, byCode, byName) {
+  for (const k of CODE_KEYS) {
+    if (props[k] == null || props[k] === '') continue;
+    return byCode.get(String(props[k]).slice(0, 5)) ?? null;
+  }
+  for (const k of NAME_KEYS) {
+    if (props[k]) return byName.get(props[k]) ?? null;
+  }
+  return null;
+}
+
+/**
+ * 行政区域 GeoJSON を読み込み、対象エリアごとのポリゴン一覧にまとめる
+ * @param {Array<{ id: string, name: string, jisCode: string }>} areas - loadAreaRegistry().areas
+ * @param {string} [path] - 既定は data/boundaries/municipalities.geojson
+ * @returns {{ path: string, byId: Map<string, Array<{ geometry: object, bbox: object }>>, missing: string[] }|null}
+ *   ファイルが無ければ null。missing はポリゴンが1つも無かったエリア id
+ */
+export function loadMunicipalBoundaries(areas, path = BOUNDARIES_PATH) {
+  if (!existsSync(path)) return null;
+  const geojson = JSON.parse(readFileSync(path, 'utf-8'));
+  const byCode = new Map(areas.map(a => [a.jisCode, a.id]));
+  const byName = new Map(areas.map(a => [a.name, a.id]));
+  const byId = new Map(areas.map(a => [a.id, []]));
+
+  for (const feature of geojson.features || []) {
+    const id = featureAreaId(feature.properties || {}, byCode, byName);
+    if (!id) continue;
+    const geometry = parsePolygonGeometry(feature.geometry);
+    if (!geometry) continue;
+    byId.get(id).push({ geometry, bbox: geometryBBox(geometry) });
+  }
+
+  const missing = [...byId].filter(([, polys]) => polys.length === 0).map(([id]) => id);
+  return { path, byId, missing };
+}
+
+/**
+ * 座標を含む行政区域のエリア id を返す関数を作る
+ * @param {{ byId: Map<string, Array<{ geometry: object, bbox: object }>> }} boundaries
+ * @returns {(lat: number, lng: number) => string|null} どのポリゴンにも入らなければ null
+ */
+export function createBoundaryLocator(boundaries) {
+  const entries = [...boundaries.byId].flatMap(([id, polys]) => polys.map(p => ({ id, ...p })));
+  return (lat, lng) => {
+    for (const { id, geometry, bbox } of entries) {
+      if (lng < bbox.west || lng > bbox.east || lat < bbox.south || lat > bbox.north) continue;
+      if (pointInGeometry(lng, lat, geometry)) return id;
+    }
+    return null;
+  };
+}
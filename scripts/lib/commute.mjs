@@ -0,0 +1,233 @@
+/**
+ * 通勤時間モデル（自宅 → 勤務先のドアツードア所要時間の推定）
+ * エリアページにインライン展開し、ランキングの交通スコアと地区サイドバーの通勤時間に使う。
+ *
+ * 電車: 駅まで徒歩（DistanceToStation、無ければ地区代表点から駅までの直線距離）
+ *       + 平均待ち時間（60 / trainsPerHour / 2）+ 駅マスタの乗車時間 + 降車駅からの移動（egressMin）
+ * 車:   直線距離 × 迂回係数を、近距離は一般道・遠距離は幹線道路の速度で割ったもの + 駐車（CAR_PARKING_MIN）
+ *
+ * 乗車時間は駅マスタ（data/stations.json）の toNagoyaMin / toYokkaichiMin を使う:
+ *   hub を持つ勤務先（名古屋駅・近鉄四日市）… 乗車駅の to{Hub}Min
+ *   それ以外 … 同じ路線なら駅間の直線距離から推定、別路線は名古屋・四日市での乗換経由の短い方
+ *
+ * 住所で追加した勤務先（ジオコーディング済みの座標）は最寄駅（駅マスタか名古屋駅の近い方）に寄せ、
+ * 降車駅からの徒歩分、歩けない距離なら車の所要分を egressMin にする（addressCommuteDestination）。
+ */
+
+/** 既定の勤務先。station は data/stations.json の駅名、egressMin は降車駅から勤務先までの分 */
+export const COMMUTE_DESTINATIONS = [
+  { id: 'nagoya', label: '名古屋駅', lat: 35.1709, lng: 136.8815, station: null, hub: 'nagoya', egressMin: 5 },
+  { id: 'yokkaichi', label: '近鉄四日市', lat: 34.9665, lng: 136.6142, station: '近鉄四日市', hub: 'yokkaichi', egressMin: 5 },
+  { id: 'kombinat', label: '四日市コンビナート（塩浜・霞）', lat: 34.9380, lng: 136.6330, station: '塩浜', hub: null, egressMin: 15 },
+  { id: 'suzuka-factory', label: '鈴鹿（サーキット周辺の工場）', lat: 34.8560, lng: 136.5360, station: '平田町', hub: null, egressMin: 15 },
+  { id: 'tsu', label: '津駅', lat: 34.7344, lng: 136.5103, station: '津', hub: null, egressMin: 5 },
+];
+
+export const COMMUTE_MODES = { train: '電車', car: '車' };
+
+const WALK_M_PER_MIN = 80;              // 不動産表示の徒歩分（80m/分）
+const WALK_DETOUR = 1.3;                // 直線距離 → 道のり
+const MAX_WALK_MIN = 25;                // これを超える駅距離はバス・自転車を想定して頭打ち
+const DEFAULT_WALK_MIN = 15;            // 地区の位置も駅距離も分からないとき
+const TRANSFER_MIN = 8;                 // 乗換1回あたりの移動・待ち
+const RAIL_KM_PER_MIN = 45 / 60;        // 同一路線の駅間推定（表定速度 45km/h）
+const CAR_DETOUR = 1.3;
+const CAR_LOCAL_KM = 10;                // 最初の 10km は一般道
+const CAR_LOCAL_KM_PER_MIN = 25 / 60;
+const CAR_ARTERIAL_KM_PER_MIN = 50 / 60;
+const CAR_PARKING_MIN = 5;
+const MAX_EGRESS_WALK_MIN = 20;         // 降車駅から勤務先までこれを超える徒歩は車（送迎・社用車）にする
+
+/** ドアツードア通勤時間をスコア化するときの上限（この分数で 0 点） */
+export const COMMUTE_SCORE_MAX_MIN = 90;
+
+/**
+ * 2点間の直線距離（km）
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number}
+ */
+export function haversineKm(a, b) {
+  const R = 6371;
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 取引データの DistanceToStation（最寄駅までの徒歩分）を分に直す
+ * 「5」「5分」のほか、範囲表記「30分?60分」「1H?1H30」「2H?」は中央値（上限なしは下限）を返す
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function parseWalkMinutes(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const toMin = s => {
+    const m = s.match(/(?:(\d+)H)?(\d+)?/);
+    if (!m || (m[1] == null && m[2] == null)) return null;
+    return (m[1] ? parseInt(m[1], 10) * 60 : 0) + (m[2] ? parseInt(m[2], 10) : 0);
+  };
+  const parts = String(value).replace(/分/g, '').split(/[?？〜~]/).map(s => s.trim()).filter(Boolean).map(toMin);
+  const nums = parts.filter(n => n != null);
+  if (nums.length === 0) return null;
+  return nums.length === 1 ? nums[0] : Math.round((nums[0] + nums[1]) / 2);
+}
+
+/**
+ * 座標に最も近い駅
+ * @param {{ lat: number, lng: number }} point
+ * @param {Array<object>} stations
+ * @param {string} [cityId] - 指定するとその市町の駅に限る（無ければ全駅）
+ * @returns {object|null}
+ */
+export function nearestStationTo(point, stations, cityId) {
+  const pool = cityId && stations.some(s => s.cityId === cityId) ? stations.filter(s => s.cityId === cityId) : stations;
+  let best = null, bestKm = Infinity;
+  for (const s of pool) {
+    const km = haversineKm(point, s);
+    if (km < bestKm) { best = s; bestKm = km; }
+  }
+  return best;
+}
+
+function sharesLine(a, b) {
+  return a.lines.some(l => b.lines.some(m => m.operator === l.operator && m.name === l.name));
+}
+
+/** 乗車駅 → 勤務先の最寄駅の乗車時間（待ち時間・徒歩を除く） */
+function rideMinutes(from, dest, findStation) {
+  if (dest.hub === 'nagoya') return from.toNagoyaMin;
+  if (dest.hub === 'yokkaichi') return from.toYokkaichiMin;
+  const to = findStation(dest.station);
+  if (!to) return null;
+  if (to === from) return 0;
+  const options = [
+    from.toYokkaichiMin + to.toYokkaichiMin + TRANSFER_MIN,
+    from.toNagoyaMin + to.toNagoyaMin + TRANSFER_MIN,
+  ];
+  if (sharesLine(from, to)) options.push(haversineKm(from, to) * WALK_DETOUR / RAIL_KM_PER_MIN);
+  return Math.min(...options);
+}
+
+/**
+ * 電車通勤の所要分
+ * @param {{ station: object, walkMin: number }} origin
+ * @param {object} dest - COMMUTE_DESTINATIONS の要素
+ * @param {(name: string) => object|null} findStation
+ * @returns {number|null}
+ */
+export function trainCommuteMinutes({ station, walkMin }, dest, findStation) {
+  if (!station) return null;
+  const ride = rideMinutes(station, dest, findStation);
+  if (ride == null) return null;
+  const waitMin = station.trainsPerHour > 0 ? 60 / station.trainsPerHour / 2 : 30;
+  return Math.round(walkMin + (ride === 0 ? 0 : waitMin + ride) + dest.egressMin);
+}
+
+/**
+ * 車通勤の所要分
+ * @param {{ lat: number, lng: number }} point
+ * @param {object} dest
+ * @returns {number}
+ */
+export function carCommuteMinutes(point, dest) {
+  const km = haversineKm(point, dest) * CAR_DETOUR;
+  const local = Math.min(km, CAR_LOCAL_KM);
+  return Math.round(local / CAR_LOCAL_KM_PER_MIN + (km - local) / CAR_ARTERIAL_KM_PER_MIN + CAR_PARKING_MIN);
+}
+
+/**
+ * 住所の勤務先の id（座標とラベルを持たせ、localStorage から復元するときに再検索しない）
+ * @param {{ label: string, lat: number, lng: number }} place
+ * @returns {string} 'address:<lat>,<lng>:<ラベル>'
+ */
+export function addressDestinationId({ label, lat, lng }) {
+  return `address:${lat.toFixed(5)},${lng.toFixed(5)}:${label}`;
+}
+
+/**
+ * addressDestinationId() の逆（形式が違えば null）
+ * @param {string} id
+ * @returns {{ label: string, lat: number, lng: number }|null}
+ */
+export function parseAddressDestinationId(id) {
+  const m = String(id).match(/^address:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?):(.+)$/);
+  return m ? { label: m[3], lat: parseFloat(m[1]), lng: parseFloat(m[2]) } : null;
+}
+
+/**
+ * 住所（座標）を勤務先にする。駅マスタの最寄駅か名古屋駅の近い方で降り、そこから徒歩、
+ * 徒歩が MAX_EGRESS_WALK_MIN を超えるなら車で向かうとする
+ * @param {{ label: string, lat: number, lng: number }} place
+ * @param {Array<object>} stations - 駅マスタ
+ * @returns {object|null} COMMUTE_DESTINATIONS と同じ形（egressMode: 'walk' | 'car' 付き）、駅が無ければ null
+ */
+export function addressCommuteDestination(place, stations) {
+  const point = { lat: place.lat, lng: place.lng };
+  const station = nearestStationTo(point, stations);
+  const hub = COMMUTE_DESTINATIONS.find(d => d.hub === 'nagoya');
+  const useHub = hub && (!station || haversineKm(point, hub) < haversineKm(point, station));
+  const alight = useHub ? hub : station;
+  if (!alight) return null;
+  const walkMin = Math.round(haversineKm(point, alight) * 1000 * WALK_DETOUR / WALK_M_PER_MIN);
+  const egressMode = walkMin <= MAX_EGRESS_WALK_MIN ? 'walk' : 'car';
+  return {
+    id: addressDestinationId(place),
+    label: place.label,
+    lat: place.lat,
+    lng: place.lng,
+    station: useHub ? null : station.name,
+    hub: useHub ? 'nagoya' : null,
+    egressMin: egressMode === 'walk' ? walkMin : carCommuteMinutes(alight, point),
+    egressMode,
+  };
+}
+
+/**
+ * 出発地（地区・市町の代表点）と最寄駅・駅までの徒歩分を決める
+ * @param {{ point?: {lat:number,lng:number}|null, station?: object|null, walkMin?: number|null, cityId?: string }} input
+ * @param {Array<object>} stations - 駅マスタ
+ * @returns {{ point: object|null, station: object|null, walkMin: number }}
+ */
+export function resolveCommuteOrigin({ point = null, station = null, walkMin = null, cityId } = {}, stations) {
+  if (!station && point) station = nearestStationTo(point, stations, cityId);
+  if (walkMin == null) {
+    walkMin = point && station
+      ? Math.round(haversineKm(point, station) * 1000 * WALK_DETOUR / WALK_M_PER_MIN)
+      : DEFAULT_WALK_MIN;
+  }
+  return { point: point || (station ? { lat: station.lat, lng: station.lng } : null), station, walkMin: Math.min(walkMin, MAX_WALK_MIN) };
+}
+
+/**
+ * 複数の勤務先への通勤時間（勤務先ごと・平均）
+ * @param {{ point: object|null, station: object|null, walkMin: number }} origin - resolveCommuteOrigin()
+ * @param {Array<object>} destinations
+ * @param {'train'|'car'} mode
+ * @param {(name: string) => object|null} findStation
+ * @returns {{ minutes: number|null, legs: Array<{ id: string, label: string, minutes: number|null }> }}
+ */
+export function estimateCommute(origin, destinations, mode, findStation) {
+  const legs = destinations.map(dest => ({
+    id: dest.id,
+    label: dest.label,
+    minutes: mode === 'car'
+      ? (origin.point ? carCommuteMinutes(origin.point, dest) : null)
+      : trainCommuteMinutes(origin, dest, findStation),
+  }));
+  const known = legs.filter(l => l.minutes != null);
+  const minutes = known.length > 0 ? Math.round(known.reduce((s, l) => s + l.minutes, 0) / known.length) : null;
+  return { minutes, legs };
+}
+
+/**
+ * 通勤分 → 交通スコア（0〜100）
+ * @param {number} minutes
+ * @returns {number}
+ */
+export function commuteScore(minutes) {
+  return Math.min(100, Math.max(0, ((COMMUTE_SCORE_MAX_MIN - minutes) / COMMUTE_SCORE_MAX_MIN) * 100));
+}
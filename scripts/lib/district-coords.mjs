@@ -0,0 +1,74 @@
+/**
+ * 取引地区の座標表（data/district-coords.json）と手動補正（data/district-overrides.json）
+ * geocode-districts.mjs が書き、build-pages.mjs がエリアページの DISTRICT_COORDS とハザード注記に使う。
+ *
+ * キーはページの DISTRICT_CACHE と同じ `${cityName}-${district}`:
+ *   { generatedAt, districts: { '四日市市-曙町': { lat, lng, source, confidence, matched } | null } }
+ *   source: 'gsi' | 'nominatim' | 'manual'、null は両 API で見つからなかった地区
+ *
+ * 手動補正は { '四日市市-曙町': { lat, lng, note } | null }。null は「座標を出さない」指定。
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const DISTRICT_COORDS_PATH = join(ROOT, 'data', 'district-coords.json');
+export const DISTRICT_OVERRIDES_PATH = join(ROOT, 'data', 'district-overrides.json');
+
+/** ページで使う confidence（low は市町役場などに丸められている恐れがあるので駅ベースの推定に任せる） */
+const USABLE_CONFIDENCE = new Set(['high', 'medium']);
+
+/**
+ * 座標表のキー
+ * @param {string} cityName
+ * @param {string} district
+ * @returns {string}
+ */
+export function districtKey(cityName, district) {
+  return `${cityName}-${district}`;
+}
+
+function readJsonIfExists(path) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+}
+
+/**
+ * 座標表を読み込む（無ければ null）
+ * @param {string} [path]
+ * @returns {{ generatedAt: string, districts: object }|null}
+ */
+export function loadDistrictCoords(path = DISTRICT_COORDS_PATH) {
+  return readJsonIfExists(path);
+}
+
+/**
+ * 手動補正を読み込む（無ければ空）
+ * @param {string} [path]
+ * @returns {object}
+ */
+export function loadDistrictOverrides(path = DISTRICT_OVERRIDES_PATH) {
+  return readJsonIfExists(path) || {};
+}
+
+/**
+ * ページに出せる座標だけを { key: [lat, lng] } にする（DISTRICT_CACHE と同じ形）
+ * 手動補正は座標表より優先する（geocode-districts.mjs を回し直さなくてもビルドに反映される）
+ * @param {{ districts: object }|null} table
+ * @param {object} [overrides] - loadDistrictOverrides()
+ * @returns {Object<string, [number, number]>}
+ */
+export function usableDistrictCoords(table, overrides = {}) {
+  const out = {};
+  for (const [key, entry] of Object.entries(table?.districts || {})) {
+    if (!entry || !USABLE_CONFIDENCE.has(entry.confidence)) continue;
+    out[key] = [entry.lat, entry.lng];
+  }
+  for (const [key, o] of Object.entries(overrides)) {
+    if (o) out[key] = [o.lat, o.lng];
+    else delete out[key];
+  }
+  return out;
+}
@@ -0,0 +1,135 @@
+/**
+ * 洪水浸水想定区域（浸水深ランク）ポリゴンの正規化と、市町ごとの浸水深別面積割合・洪水リスクスコア
+ * fetch-mlit-data.mjs から使う。入力は国土数値情報「洪水浸水想定区域（A31）」などを GeoJSON にしたもの。
+ *
+ * 複数河川の想定区域は重なるため、ポリゴン面積の単純合計ではなく、市町の行政区域内に
+ * 格子点を打ち、各点で最も深いランクを採る（行政区域が無ければ算出しない）。
+ */
+
+import { parsePolygonGeometry, geometryBBox, pointInGeometry } from './geo.mjs';
+
+/**
+ * 浸水深ランク（A31 の想定最大規模ランク 1〜6）
+ * weight はリスクスコアへの寄与（0.5m 未満は床下浸水相当として軽く扱う）
+ */
+export const FLOOD_DEPTH_BANDS = [
+  { rank: 1, key: '0-0.5', label: '0.5m未満', weight: 0.2 },
+  { rank: 2, key: '0.5-3', label: '0.5〜3m', weight: 0.6 },
+  { rank: 3, key: '3-5', label: '3〜5m', weight: 0.9 },
+  { rank: 4, key: '5-10', label: '5〜10m', weight: 1 },
+  { rank: 5, key: '10-20', label: '10〜20m', weight: 1 },
+  { rank: 6, key: '20-', label: '20m以上', weight: 1 },
+];
+
+/** 加重浸水割合がこの値でスコア100（市域の半分が3m以上浸水する程度） */
+const FULL_RISK_WEIGHTED_SHARE = 0.5;
+
+/** 格子点の間隔（km） */
+const SAMPLE_STEP_KM = 0.2;
+
+const RANK_KEYS = ['A31a_205', 'A31b_205', 'A31_205', 'depthRank', 'rank'];
+const RIVER_KEYS = ['A31a_103', 'A31b_103', 'riverName', '河川名'];
+
+// ============================================================
+// 正規化
+// ============================================================
+
+/**
+ * 浸水深ポリゴン1件を { rank, river, geometry } に揃える（ランク・形状が取れなければ null）
+ * @param {object} feature - GeoJSON Feature
+ * @returns {{ rank: number, river: string, geometry: object }|null}
+ */
+export function normalizeFloodDepthFeature(feature) {
+  const props = feature?.properties || {};
+  let rank = null;
+  for (const k of RANK_KEYS) {
+    const n = parseInt(props[k], 10);
+    if (n >= 1 && n <= FLOOD_DEPTH_BANDS.length) { rank = n; break; }
+  }
+  const geometry = parsePolygonGeometry(feature?.geometry);
+  if (rank == null || !geometry) return null;
+  const river = RIVER_KEYS.map(k => props[k]).find(v => v) || '';
+  return { rank, river: String(river), geometry };
+}
+
+// ============================================================
+// 集計
+// ============================================================
+
+function emptyShares() {
+  return Object.fromEntries(FLOOD_DEPTH_BANDS.map(b => [b.key, 0]));
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+/** 浸水深別割合 → 0〜100 のリスクスコア */
+export function floodRiskScore(shares) {
+  const weighted = FLOOD_DEPTH_BANDS.reduce((s, b) => s + (shares[b.key] || 0) * b.weight, 0);
+  return Math.round(Math.min(1, weighted / FULL_RISK_WEIGHTED_SHARE) * 100);
+}
+
+/** スコア → 表示用レベル */
+export function floodRiskLevelOf(score) {
+  if (score >= 30) return '高';
+  if (score >= 10) return '中';
+  if (score > 0) return '低';
+  return 'なし';
+}
+
+/** 行政区域内の格子点で最大ランクを数える */
+function sampleShares(zones, boundaryPolys) {
+  const counts = new Array(FLOOD_DEPTH_BANDS.length + 1).fill(0);
+  let total = 0;
+  for (const { geometry, bbox } of boundaryPolys) {
+    const latStep = SAMPLE_STEP_KM / 111.32;
+    for (let lat = bbox.south + latStep / 2; lat < bbox.north; lat += latStep) {
+      const lngStep = SAMPLE_STEP_KM / (111.32 * Math.cos(lat * Math.PI / 180));
+      const row = zones.filter(z => lat >= z.bbox.south && lat <= z.bbox.north);
+      for (let lng = bbox.west + lngStep / 2; lng < bbox.east; lng += lngStep) {
+        if (!pointInGeometry(lng, lat, geometry)) continue;
+        total++;
+        let rank = 0;
+        for (const z of row) {
+          if (z.rank <= rank || lng < z.bbox.west || lng > z.bbox.east) continue;
+          if (pointInGeometry(lng, lat, z.geometry)) rank = z.rank;
+        }
+        counts[rank]++;
+      }
+    }
+  }
+  return { counts, total };
+}
+
+/**
+ * 1市町分の浸水深別面積割合とリスクスコア
+ * 行政区域が無いとポリゴンの重なり（複数河川）や市町境をまたぐ区域を扱えないので、割合を出さない。
+ * @param {Array<{ rank: number, geometry: object }>} zones - normalizeFloodDepthFeature の出力（候補）
+ * @param {object} city
+ * @param {Array<{ geometry: object, bbox: object }>|null} city.boundary - 行政区域ポリゴン（lib/boundaries.mjs）
+ * @returns {{ method: 'grid', shares: object, inundatedShare: number, riskScore: number, riskLevel: string }|null}
+ *   行政区域が無い・格子点が取れないときは null
+ */
+export function summarizeCityFloodDepth(zones, { boundary }) {
+  if (!boundary || boundary.length === 0) return null;
+  const shares = emptyShares();
+  const cityBox = boundary.map(p => p.bbox);
+  const near = zones
+    .map(z => ({ ...z, bbox: z.bbox || geometryBBox(z.geometry) }))
+    .filter(z => cityBox.some(b =>
+      z.bbox.east >= b.west && z.bbox.west <= b.east && z.bbox.north >= b.south && z.bbox.south <= b.north));
+  const { counts, total } = sampleShares(near, boundary);
+  if (total === 0) return null;
+  for (const band of FLOOD_DEPTH_BANDS) shares[band.key] = counts[band.rank] / total;
+
+  for (const k of Object.keys(shares)) shares[k] = round4(shares[k]);
+  const riskScore = floodRiskScore(shares);
+  return {
+    method: 'grid',
+    shares,
+    inundatedShare: round4(Object.values(shares).reduce((s, v) => s + v, 0)),
+    riskScore,
+    riskLevel: floodRiskLevelOf(riskScore),
+  };
+}
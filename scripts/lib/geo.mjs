@@ -0,0 +1,187 @@
+/**
+ * GeoJSON ジオメトリの面積・代表点・簡略化
+ * fetch-mlit-data.mjs のハザード区域集計（件数・面積割合・代表ポリゴン）と、
+ * 行政区域ポリゴンによる施設の市町割り当て（点の内外判定）、取引地区のハザード注記で使う。
+ * 座標は GeoJSON の [lng, lat]（度）。面積は緯度に応じた等距離近似で km² に換算する。
+ */
+
+const KM_PER_DEG_LAT = 111.32;
+
+// ============================================================
+// 読み込み
+// ============================================================
+
+/**
+ * GeoJSON ジオメトリ（オブジェクトまたは JSON 文字列）を Polygon / MultiPolygon として取り出す
+ * @param {object|string|null} value
+ * @returns {{ type: 'Polygon'|'MultiPolygon', coordinates: Array }|null}
+ */
+export function parsePolygonGeometry(value) {
+  let g = value;
+  if (typeof g === 'string') {
+    try { g = JSON.parse(g); } catch { return null; }
+  }
+  if (g && g.type === 'Feature') g = g.geometry;
+  if (!g || !Array.isArray(g.coordinates)) return null;
+  if (g.type === 'Polygon' || g.type === 'MultiPolygon') return g;
+  return null;
+}
+
+/** Polygon は [rings]、MultiPolygon は [[rings], ...] に揃える */
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// ============================================================
+// 面積・代表点
+// ============================================================
+
+/** リング1本の面積（km²、向きによらず正） */
+export function ringAreaKm2(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return 0;
+  const lat0 = ring.reduce((s, [, lat]) => s + lat, 0) / ring.length;
+  const kx = KM_PER_DEG_LAT * Math.cos(lat0 * Math.PI / 180);
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] * kx) * (ring[i][1] * KM_PER_DEG_LAT) - (ring[i][0] * kx) * (ring[j][1] * KM_PER_DEG_LAT);
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Polygon / MultiPolygon の面積（km²、穴を除く）
+ * @param {object} geometry
+ * @returns {number}
+ */
+export function polygonAreaKm2(geometry) {
+  return polygonsOf(geometry).reduce((total, [outer, ...holes]) =>
+    total + ringAreaKm2(outer) - holes.reduce((s, h) => s + ringAreaKm2(h), 0), 0);
+}
+
+/**
+ * 代表点（最大の外周リングの頂点平均）
+ * @param {object} geometry
+ * @returns {{ lat: number, lng: number }|null}
+ */
+export function geometryCenter(geometry) {
+  let best = null;
+  let bestArea = -1;
+  for (const [outer] of polygonsOf(geometry)) {
+    const a = ringAreaKm2(outer);
+    if (a > bestArea) { bestArea = a; best = outer; }
+  }
+  if (!best || best.length === 0) return null;
+  const n = best.length;
+  return {
+    lat: best.reduce((s, [, lat]) => s + lat, 0) / n,
+    lng: best.reduce((s, [lng]) => s + lng, 0) / n,
+  };
+}
+
+/**
+ * 2点間の距離（m、球面近似）
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number}
+ */
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(h));
+}
+
+// ============================================================
+// 点の内外判定
+// ============================================================
+
+/**
+ * 外接矩形（内外判定の前段の足切り用）
+ * @param {object} geometry - Polygon / MultiPolygon
+ * @returns {{ west: number, south: number, east: number, north: number }}
+ */
+export function geometryBBox(geometry) {
+  const box = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+  for (const [outer] of polygonsOf(geometry)) {
+    for (const [lng, lat] of outer) {
+      if (lng < box.west) box.west = lng;
+      if (lng > box.east) box.east = lng;
+      if (lat < box.south) box.south = lat;
+      if (lat > box.north) box.north = lat;
+    }
+  }
+  return box;
+}
+
+/** レイキャスティング（境界線上の点はどちらに転んでもよい） */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 点がポリゴン内（穴の外）にあるか
+ * @param {number} lng
+ * @param {number} lat
+ * @param {object} geometry - Polygon / MultiPolygon
+ * @returns {boolean}
+ */
+export function pointInGeometry(lng, lat, geometry) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(h => pointInRing(lng, lat, h)));
+}
+
+// ============================================================
+// 簡略化（ページ埋め込み用）
+// ============================================================
+
+function perpendicularDist(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  if (dx === 0 && dy === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  const t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy);
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+function douglasPeucker(points, tolerance) {
+  if (points.length <= 2) return points;
+  let maxD = 0;
+  let idx = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = perpendicularDist(points[i], points[0], points[points.length - 1]);
+    if (d > maxD) { maxD = d; idx = i; }
+  }
+  if (maxD <= tolerance) return [points[0], points[points.length - 1]];
+  const left = douglasPeucker(points.slice(0, idx + 1), tolerance);
+  return left.slice(0, -1).concat(douglasPeucker(points.slice(idx), tolerance));
+}
+
+/**
+ * Douglas-Peucker で頂点を間引き、座標を丸める（3点未満に潰れたリングは捨てる）
+ * @param {object} geometry - Polygon / MultiPolygon
+ * @param {{ tolerance?: number, digits?: number }} [options] - tolerance は度単位
+ * @returns {object|null}
+ */
+export function simplifyGeometry(geometry, { tolerance = 0.0005, digits = 5 } = {}) {
+  const f = 10 ** digits;
+  const round = ([lng, lat]) => [Math.round(lng * f) / f, Math.round(lat * f) / f];
+  const polygons = polygonsOf(geometry)
+    .map(rings => rings
+      .map(ring => douglasPeucker(ring, tolerance).map(round))
+      .filter(ring => ring.length >= 4))
+    .filter(rings => rings.length > 0);
+  if (polygons.length === 0) return null;
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
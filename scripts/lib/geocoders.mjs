@@ -0,0 +1,100 @@
+/**
+ * 住所・地区名のジオコーディング（国土地理院 住所検索 API / Nominatim）
+ * geocode-districts.mjs が取引地区の座標表（data/district-coords.json）を作るのに使う。
+ *
+ * どちらの API も候補を返すだけで、どれを採るかは呼び出し側が confidence を見て決める:
+ *   high   … 返った住所に「市町名 + 地区名」がそのまま含まれる
+ *   medium … 地区名は含まれる（市町名の表記違い・大字の有無など）
+ *   low    … 地区名を含まない（市町役場など上位の地名に丸められた可能性が高い）
+ */
+
+export const GSI_SEARCH_URL = 'https://msearch.gsi.go.jp/address-search/AddressSearch';
+export const NOMINATIM_SEARCH_URL = 'https://nominatim.openstreetmap.org/search';
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+/** 比較用に空白・大字/字・「丁目」前の数字表記を揃える */
+function normalizePlace(s) {
+  return String(s || '')
+    .replace(/[\s　]/g, '')
+    .replace(/大字|字/g, '')
+    .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+}
+
+/**
+ * 返ってきた住所表記から confidence を判定する
+ * @param {string} matched - GSI の title / Nominatim の display_name
+ * @param {string} cityName
+ * @param {string} district
+ * @returns {'high'|'medium'|'low'}
+ */
+export function matchConfidence(matched, cityName, district) {
+  const m = normalizePlace(matched);
+  const d = normalizePlace(district);
+  if (!d || !m.includes(d)) return 'low';
+  return m.includes(normalizePlace(cityName) + d) ? 'high' : 'medium';
+}
+
+/** confidence の比較（a が b より良ければ正） */
+export function compareConfidence(a, b) {
+  return (CONFIDENCE_RANK[a] || 0) - (CONFIDENCE_RANK[b] || 0);
+}
+
+/** 応答が無いまま止まらないよう、既定 15 秒で打ち切る */
+export const GEOCODE_TIMEOUT_MS = 15000;
+
+async function getJson(url, { headers = {}, timeoutMs = GEOCODE_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { headers, signal: controller.signal });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    return await res.json();
+  } catch (e) {
+    if (e.name === 'AbortError') throw new Error(`${timeoutMs}ms でタイムアウト`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 国土地理院 住所検索 API
+ * @param {string} query
+ * @param {{ baseUrl?: string, timeoutMs?: number }} [options]
+ * @returns {Promise<Array<{ lat: number, lng: number, matched: string, source: 'gsi' }>>}
+ */
+export async function geocodeGSI(query, { baseUrl = GSI_SEARCH_URL, timeoutMs } = {}) {
+  const results = await getJson(`${baseUrl}?q=${encodeURIComponent(query)}`, { timeoutMs });
+  return (Array.isArray(results) ? results : [])
+    .map(r => ({
+      lat: parseFloat(r.geometry?.coordinates?.[1]),
+      lng: parseFloat(r.geometry?.coordinates?.[0]),
+      matched: r.properties?.title || '',
+      source: 'gsi',
+    }))
+    .filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lng));
+}
+
+/**
+ * Nominatim（OpenStreetMap）検索。利用規約により1秒1リクエストまで・User-Agent 必須
+ * @param {string} query
+ * @param {{ baseUrl?: string, userAgent?: string, limit?: number, timeoutMs?: number }} [options]
+ * @returns {Promise<Array<{ lat: number, lng: number, matched: string, source: 'nominatim' }>>}
+ */
+export async function geocodeNominatim(query, { baseUrl = NOMINATIM_SEARCH_URL, userAgent = 'MieRealEstateApp/1.0', limit = 3, timeoutMs } = {}) {
+  const url = `${baseUrl}?q=${encodeURIComponent(query)}&format=json&limit=${limit}&countrycodes=jp`;
+  const results = await getJson(url, { headers: { 'User-Agent': userAgent }, timeoutMs });
+  return (Array.isArray(results) ? results : [])
+    .map(r => ({
+      lat: parseFloat(r.lat),
+      lng: parseFloat(r.lon),
+      matched: r.display_name || '',
+      source: 'nominatim',
+    }))
+    .filter(c => Number.isFinite(c.lat) && Number.isFinite(c.lng));
+}
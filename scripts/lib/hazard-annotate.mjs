@@ -0,0 +1,62 @@
+/**
+ * 取引地区の座標にハザード属性（浸水深・土砂災害警戒区域・最寄り避難施設）を付ける
+ * build-pages.mjs が data/district-coords.json の地区ごとに呼び、結果をエリアページの DISTRICT_HAZARDS に注入する。
+ *
+ * ハザード区域は fetch-mlit-data.mjs が書き出す data/hazard-zones.json（簡略化ポリゴン）、
+ * 避難施設は data/mlit-hazard.json の shelterList を使う。
+ */
+
+import { geometryBBox, pointInGeometry, distanceMeters } from './geo.mjs';
+import { FLOOD_DEPTH_BANDS } from './flood-depth.mjs';
+
+/** 地区の代表点から離れすぎた避難施設は「最寄り」として出さない */
+const MAX_SHELTER_DISTANCE_M = 5000;
+
+function withBBox(zones) {
+  return zones.map(z => ({ ...z, bbox: geometryBBox(z.geometry) }));
+}
+
+function inBox(lat, lng, b) {
+  return lng >= b.west && lng <= b.east && lat >= b.south && lat <= b.north;
+}
+
+/**
+ * 注記関数を作る
+ * @param {object} sources
+ * @param {{ sediment: Array<{ geometry: object }>|null, floodDepth: Array<{ rank: number, geometry: object }>|null }|null} sources.zones
+ *   data/hazard-zones.json（ファイルやレイヤーが無ければ null → その属性は不明として出さない）
+ * @param {Array<{ name: string, lat: number, lon: number }>} sources.shelters - shelterList を全市町分つないだもの
+ * @returns {(lat: number, lng: number) => { floodDepthRank?: number, floodDepth?: string|null, sediment?: boolean, shelter?: string, shelterM?: number }}
+ */
+export function createHazardAnnotator({ zones, shelters }) {
+  const sediment = zones?.sediment ? withBBox(zones.sediment) : null;
+  const floodDepth = zones?.floodDepth ? withBBox(zones.floodDepth) : null;
+
+  return (lat, lng) => {
+    const out = {};
+
+    if (floodDepth) {
+      let rank = 0;
+      for (const z of floodDepth) {
+        if (z.rank > rank && inBox(lat, lng, z.bbox) && pointInGeometry(lng, lat, z.geometry)) rank = z.rank;
+      }
+      out.floodDepthRank = rank;
+      out.floodDepth = rank > 0 ? FLOOD_DEPTH_BANDS[rank - 1].label : null;
+    }
+    if (sediment) {
+      out.sediment = sediment.some(z => inBox(lat, lng, z.bbox) && pointInGeometry(lng, lat, z.geometry));
+    }
+
+    let best = null;
+    let bestM = MAX_SHELTER_DISTANCE_M;
+    for (const s of shelters) {
+      const m = distanceMeters(lat, lng, s.lat, s.lon);
+      if (m < bestM) { bestM = m; best = s; }
+    }
+    if (best) {
+      out.shelter = best.name;
+      out.shelterM = Math.round(bestM / 10) * 10;
+    }
+    return out;
+  };
+}
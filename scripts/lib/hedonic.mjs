@@ -0,0 +1,275 @@
+/**
+ * 取引のヘドニック回帰（品質調整済みの地区別土地価格）
+ * fit-hedonic.mjs が正規化済み取引から推定して data/hedonic-estimates.json を書き、
+ * エリアページ（地区・市町サイドバー）と物件比較（index.html の calculateBadge）が使う。
+ *
+ * 被説明変数は ln(取引価格 / 面積)。説明変数:
+ *   ln(面積)、種別（土地 / 土地と建物 / 農地 / 林地）、建物の築年数、用途地域（CityPlanning のグループ）、
+ *   駅徒歩分、取引四半期（ダミー）、市町（ダミー）
+ * 「50坪・宅地（土地のみ）・その市町で最も多い用途地域・駅徒歩10分・直近4四半期」の標準区画の坪単価と
+ * 95% 信頼区間を出す（時点は1四半期だと件数が少なくぶれるので直近4四半期の平均）。
+ * 用途地域を全市町で住居系に揃えると、ほぼ全件が都市計画区域外の町などで係数を外挿して過大になるため、
+ * 基準の用途地域は市町ごとに宅地取引の最頻値（不明を除く）を採る。
+ * 地区の効果は回帰の残差の地区平均を件数に応じて市町の水準へ縮める（経験ベイズ、重み n/(n+k)、k = σ²/τ²）。
+ * 中古マンション等は面積が専有面積なので使わない。用途地域のグループは trade-quality.mjs の zoningGroup。
+ */
+
+import { zoningGroup } from './trade-quality.mjs';
+
+export const TSUBO_M2 = 3.305785;
+
+/** 標準区画（坪単価を揃える基準。用途地域は市町ごと、ダミーの基準は住居系） */
+export const REFERENCE_LOT = { tsubo: 50, type: '宅地(土地)', walkMin: 10 };
+const BASE_ZONING = 'residential';
+
+/** 種別 → ダミー名（宅地(土地) が基準） */
+const TYPE_FEATURES = { '宅地(土地)': null, '宅地(土地と建物)': 'type:landBuilding', '農地': 'type:farmland', '林地': 'type:forest' };
+
+export const MIN_DISTRICT_TRADES = 5;
+const REFERENCE_QUARTERS = 4;
+const MAX_WALK_MIN = 60;
+const MAX_AGE = 60;
+const RIDGE = 1e-6;
+const Z95 = 1.96;
+const ERA_OFFSETS = { 令和: 2018, 平成: 1988, 昭和: 1925 };
+
+/**
+ * BuildingYear（「1993年」「平成5年」「昭和50年」）を西暦に（「戦前」などは null）
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function builtYear(value) {
+  const m = String(value || '').match(/^(令和|平成|昭和)?(\d+|元)年/);
+  if (!m) return null;
+  const n = m[2] === '元' ? 1 : parseInt(m[2], 10);
+  return m[1] ? ERA_OFFSETS[m[1]] + n : n;
+}
+
+/** 「2024年第4四半期」→ { year, key: '2024Q4' } */
+function periodOf(period) {
+  const m = String(period || '').match(/^(\d{4})年第(\d)四半期/);
+  return m ? { year: parseInt(m[1], 10), key: `${m[1]}Q${m[2]}` } : null;
+}
+
+function walkMinutes(value) {
+  const m = String(value ?? '').match(/(\d+)/);
+  return m ? Math.min(parseInt(m[1], 10), MAX_WALK_MIN) : null;
+}
+
+/**
+ * 1取引の説明変数（四半期・市町ダミーは fitHedonicModel が付ける）
+ * @param {object} tx - normalizeTransaction 済みの取引
+ * @returns {{ y: number, quarter: string, x: Object<string, number> }|null} 回帰に使えない取引は null
+ */
+export function hedonicFeatures(tx) {
+  if (!(tx.Type in TYPE_FEATURES) || !(tx.TradePrice > 0) || !(tx.Area > 0)) return null;
+  const period = periodOf(tx.Period);
+  if (!period) return null;
+
+  const x = { lnArea: Math.log(tx.Area) };
+  const typeFeature = TYPE_FEATURES[tx.Type];
+  if (typeFeature) x[typeFeature] = 1;
+  if (tx.Type === '宅地(土地と建物)') {
+    const built = builtYear(tx.BuildingYear);
+    if (built != null && built <= period.year) x.age10 = Math.min(period.year - built, MAX_AGE) / 10;
+    else x.ageUnknown = 1;
+  }
+  const zone = zoningGroup(tx.CityPlanning);
+  if (zone !== BASE_ZONING) x[`zoning:${zone}`] = 1;
+  const walk = walkMinutes(tx.DistanceToStation);
+  if (walk != null) x.walk10 = walk / 10;
+  else x.walkUnknown = 1;
+  return { y: Math.log(tx.TradePrice / tx.Area), quarter: period.key, x };
+}
+
+// ============================================================
+// 最小二乗
+// ============================================================
+
+/** 対称正定値行列の逆行列（Cholesky） */
+function invertSpd(a) {
+  const n = a.length;
+  const L = a.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = a[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (s <= 0) throw new Error('回帰の正規方程式が解けません（説明変数が多重共線）');
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  const inv = a.map(() => new Array(n).fill(0));
+  for (let col = 0; col < n; col++) {
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      let s = i === col ? 1 : 0;
+      for (let k = 0; k < i; k++) s -= L[i][k] * y[k];
+      y[i] = s / L[i][i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      let s = y[i];
+      for (let k = i + 1; k < n; k++) s -= L[k][i] * inv[k][col];
+      inv[i][col] = s / L[i][i];
+    }
+  }
+  return inv;
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+function quadForm(m, v) {
+  return dot(v, m.map(row => dot(row, v)));
+}
+
+/**
+ * 最小二乗（切片を除く列にわずかなリッジを入れて、ダミーの共線で解けなくなるのを防ぐ）
+ * @param {number[][]} X - 1列目は切片
+ * @param {number[]} y
+ * @returns {{ beta: number[], cov: number[][], sigma2: number, r2: number, residuals: number[] }}
+ */
+export function fitOls(X, y) {
+  const n = X.length, k = X[0].length;
+  const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+  const xty = new Array(k).fill(0);
+  for (let r = 0; r < n; r++) {
+    const row = X[r];
+    for (let i = 0; i < k; i++) {
+      if (row[i] === 0) continue;
+      xty[i] += row[i] * y[r];
+      for (let j = 0; j < k; j++) xtx[i][j] += row[i] * row[j];
+    }
+  }
+  for (let i = 1; i < k; i++) xtx[i][i] += RIDGE * n;
+  const inv = invertSpd(xtx);
+  const beta = inv.map(row => dot(row, xty));
+  const residuals = X.map((row, r) => y[r] - dot(row, beta));
+  const sse = residuals.reduce((s, e) => s + e * e, 0);
+  const mean = y.reduce((s, v) => s + v, 0) / n;
+  const sst = y.reduce((s, v) => s + (v - mean) ** 2, 0);
+  const sigma2 = sse / Math.max(1, n - k);
+  return { beta, cov: inv.map(row => row.map(v => v * sigma2)), sigma2, r2: sst > 0 ? 1 - sse / sst : 0, residuals };
+}
+
+// ============================================================
+// モデル
+// ============================================================
+
+function interval(logValue, variance) {
+  const se = Math.sqrt(variance);
+  const round = v => Math.round(Math.exp(v) * TSUBO_M2 / 100) * 100;
+  return { tsuboPrice: round(logValue), lower: round(logValue - Z95 * se), upper: round(logValue + Z95 * se) };
+}
+
+/**
+ * 市町の基準の用途地域（宅地取引の最頻グループ、不明を除く。宅地がなければ全取引）
+ * @param {Array<{ tx: object }>} samples - 1市町の取引
+ * @returns {string}
+ */
+function dominantZoning(samples) {
+  const pick = list => {
+    const counts = {};
+    for (const s of list) {
+      const zone = zoningGroup(s.tx.CityPlanning);
+      if (zone !== 'unknown') counts[zone] = (counts[zone] || 0) + 1;
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0];
+  };
+  return pick(samples.filter(s => String(s.tx.Type).startsWith('宅地'))) || pick(samples) || BASE_ZONING;
+}
+
+/**
+ * 取引からヘドニックモデルを推定し、市町・地区の標準区画坪単価を出す
+ * @param {Array<{ tx: object, cityId: string, districtKey: string }>} samples
+ * @param {{ minDistrictTrades?: number }} [options] - 地区を出す最低件数（既定 MIN_DISTRICT_TRADES）
+ * @returns {{ model: object, cities: Object<string, object>, districts: Object<string, object> }}
+ */
+export function fitHedonicModel(samples, { minDistrictTrades = MIN_DISTRICT_TRADES } = {}) {
+  const rows = [];
+  for (const s of samples) {
+    const f = hedonicFeatures(s.tx);
+    if (f) rows.push({ ...f, cityId: s.cityId, districtKey: s.districtKey, tx: s.tx });
+  }
+  if (rows.length === 0) throw new Error('回帰に使える取引がありません');
+
+  // 四半期・市町ダミー（最新四半期と取引の最も多い市町が基準）
+  const quarters = [...new Set(rows.map(r => r.quarter))].sort();
+  const latestQuarter = quarters[quarters.length - 1];
+  const cityCounts = {};
+  rows.forEach(r => { cityCounts[r.cityId] = (cityCounts[r.cityId] || 0) + 1; });
+  const baseCity = Object.entries(cityCounts).sort((a, b) => b[1] - a[1])[0][0];
+  for (const r of rows) {
+    if (r.quarter !== latestQuarter) r.x[`quarter:${r.quarter}`] = 1;
+    if (r.cityId !== baseCity) r.x[`city:${r.cityId}`] = 1;
+  }
+
+  // 全取引で一定の列（例: 駅徒歩が全件不明）は切片と区別できないので落とす
+  const names = [...new Set(rows.flatMap(r => Object.keys(r.x)))].sort()
+    .filter(name => new Set(rows.map(r => r.x[name] ?? 0)).size > 1);
+  const columns = ['const', ...names];
+  const X = rows.map(r => [1, ...names.map(name => r.x[name] ?? 0)]);
+  const { beta, cov, sigma2, r2, residuals } = fitOls(X, rows.map(r => r.y));
+
+  const reference = { const: 1, lnArea: Math.log(REFERENCE_LOT.tsubo * TSUBO_M2), walk10: REFERENCE_LOT.walkMin / 10 };
+  const referenceQuarters = quarters.slice(-REFERENCE_QUARTERS);
+  for (const q of referenceQuarters) {
+    if (q !== latestQuarter) reference[`quarter:${q}`] = 1 / referenceQuarters.length;
+  }
+  const cityZoning = {};
+  for (const cityId of Object.keys(cityCounts)) cityZoning[cityId] = dominantZoning(rows.filter(r => r.cityId === cityId));
+  const referenceRow = cityId => columns.map(c =>
+    c === `city:${cityId}` || c === `zoning:${cityZoning[cityId]}` ? 1 : (reference[c] ?? 0));
+
+  const cities = {};
+  for (const cityId of Object.keys(cityCounts)) {
+    const xr = referenceRow(cityId);
+    cities[cityId] = { ...interval(dot(xr, beta), quadForm(cov, xr)), zoning: cityZoning[cityId], n: cityCounts[cityId] };
+  }
+
+  // 地区: 市町の標準区画 + 残差の地区平均を n/(n+k) で縮めた効果
+  // τ² は地区平均の分散から σ²/n を引いたもの（モーメント法）、分散は係数の不確かさ + σ²/(n+k)
+  const byDistrict = new Map();
+  rows.forEach((r, i) => {
+    if (!r.districtKey) return;
+    const d = byDistrict.get(r.districtKey) || { cityId: r.cityId, residuals: [] };
+    d.residuals.push(residuals[i]);
+    byDistrict.set(r.districtKey, d);
+  });
+  const groups = [...byDistrict.values()];
+  const tau2 = Math.max(RIDGE, groups.reduce((s, d) => {
+    const mean = d.residuals.reduce((a, e) => a + e, 0) / d.residuals.length;
+    return s + mean * mean - sigma2 / d.residuals.length;
+  }, 0) / Math.max(1, groups.length));
+  const shrinkK = sigma2 / tau2;
+  const districts = {};
+  for (const [key, d] of [...byDistrict].sort((a, b) => a[0].localeCompare(b[0]))) {
+    const n = d.residuals.length;
+    if (n < minDistrictTrades) continue;
+    const xr = referenceRow(d.cityId);
+    const effect = d.residuals.reduce((s, e) => s + e, 0) / (n + shrinkK);
+    districts[key] = { ...interval(dot(xr, beta) + effect, quadForm(cov, xr) + sigma2 / (n + shrinkK)), n };
+  }
+
+  const round4 = v => Math.round(v * 1e4) / 1e4;
+  return {
+    model: {
+      n: rows.length,
+      r2: round4(r2),
+      sigma: round4(Math.sqrt(sigma2)),
+      referenceQuarters,
+      baseCity,
+      reference: REFERENCE_LOT,
+      districtShrinkage: { tau: round4(Math.sqrt(tau2)), k: round4(shrinkK) },
+      coefficients: Object.fromEntries(columns.map((c, i) => [c, round4(beta[i])])),
+    },
+    cities,
+    districts,
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * 地価公示・都道府県地価調査のポイントデータの正規化と集計
+ * fetch-land-price.mjs から使い、data/land-price.json（都市別の平均地価・変動率・推移）を作る。
+ *
+ * 入力は REINFOLIB の地価ポイント（XPT002 の GeoJSON Feature / properties）か、
+ * 正規化済みレコード（{ pointId, survey, year, cityCode, use, price, lat, lng }）のどちらでもよい。
+ */
+
+/** 1坪 = 3.3058m²（AREA_PROFILES の pricePerTsubo と同じ換算） */
+export const TSUBO_M2 = 3.3058;
+
+const ERA_BASE = { '令和': 2018, '平成': 1988 };
+
+// ============================================================
+// 正規化
+// ============================================================
+
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] != null && obj[k] !== '') return obj[k];
+  }
+  return null;
+}
+
+/** '48,300(円/㎡)' / 48300 → 48300 */
+function parsePrice(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  const n = parseInt(v.replace(/[,，]/g, ''), 10);
+  return Number.isNaN(n) ? null : n;
+}
+
+/** '令和6年' / '2024年' / 2024 → 2024（元年にも対応） */
+function parseYear(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v !== 'string') return null;
+  const era = v.match(/(令和|平成)(元|\d+)年/);
+  if (era) return ERA_BASE[era[1]] + (era[2] === '元' ? 1 : parseInt(era[2], 10));
+  const m = v.match(/(\d{4})/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/** '地価調査' / '1' → 'chosa'、それ以外は 'koji'（地価公示） */
+function parseSurvey(v) {
+  const s = String(v ?? '');
+  return s.includes('調査') || s === '1' ? 'chosa' : 'koji';
+}
+
+/**
+ * 地価ポイント1件を正規化（価格・年・市区町村コードが取れなければ null）
+ * @param {object} raw - GeoJSON Feature、その properties、または正規化済みレコード
+ * @returns {{ pointId: string, survey: 'koji'|'chosa', year: number, cityCode: string, use: string, price: number, lat: number|null, lng: number|null }|null}
+ */
+export function normalizeLandPricePoint(raw) {
+  if (!raw) return null;
+  const p = raw.properties || raw;
+  const coords = raw.geometry?.coordinates;
+
+  const price = parsePrice(pick(p, ['price', 'u_current_years_price_ja', 'current_years_price', 'CurrentYearsPrice']));
+  const year = parseYear(pick(p, ['year', 'target_year_name_ja', 'target_year', 'Year']));
+  const cityCode = String(pick(p, ['cityCode', 'city_code', 'CityCode']) ?? '').slice(0, 5);
+  if (price == null || price <= 0 || year == null || !/^\d{5}$/.test(cityCode)) return null;
+
+  const lat = coords ? coords[1] : pick(p, ['lat', 'latitude']);
+  const lng = coords ? coords[0] : pick(p, ['lng', 'longitude']);
+  return {
+    pointId: String(pick(p, ['pointId', 'point_id', 'standard_lot_number_ja', 'id']) ?? ''),
+    survey: p.survey === 'koji' || p.survey === 'chosa' ? p.survey : parseSurvey(pick(p, ['price_classification_name_ja', 'land_price_type', 'priceClassification'])),
+    year,
+    cityCode,
+    use: String(pick(p, ['use', 'use_category_name_ja', 'UseCategory']) ?? ''),
+    price,
+    lat: lat != null ? parseFloat(lat) : null,
+    lng: lng != null ? parseFloat(lng) : null,
+  };
+}
+
+/**
+ * MCP の tools/call 結果・GeoJSON FeatureCollection・配列から生ポイント配列を取り出す
+ * @param {object|string|Array} data
+ * @returns {Array<object>}
+ */
+export function extractLandPricePoints(data) {
+  let d = data;
+  if (d && Array.isArray(d.content)) {
+    const text = d.content.find(c => c.type === 'text');
+    if (!text) return [];
+    try { d = JSON.parse(text.text); } catch { return []; }
+  }
+  if (typeof d === 'string') {
+    try { d = JSON.parse(d); } catch { return []; }
+  }
+  if (Array.isArray(d)) return d;
+  if (d && Array.isArray(d.features)) return d.features;
+  if (d && Array.isArray(d.data)) return d.data;
+  if (d && d.data && Array.isArray(d.data.features)) return d.data.features;
+  return [];
+}
+
+// ============================================================
+// 集計
+// ============================================================
+
+const isResidential = pt => pt.use.includes('住宅');
+const isCommercial = pt => pt.use.includes('商業');
+
+/** 坪単価・前年比・推移の対象（住宅地。住宅地ポイントが無ければ全用途） */
+function pricingBasis(points) {
+  const residential = points.filter(isResidential);
+  return residential.length > 0 ? residential : points;
+}
+
+function mean(values) {
+  return values.length > 0 ? Math.round(values.reduce((s, v) => s + v, 0) / values.length) : null;
+}
+
+/**
+ * 前年比変動率（%）
+ * 同じ地点が両年にあればその変動率の平均、無ければ平均価格どうしの比で代用
+ */
+function yoyChangePct(curr, prev) {
+  if (curr.length === 0 || prev.length === 0) return null;
+  const prevById = new Map(prev.filter(pt => pt.pointId).map(pt => [`${pt.survey}:${pt.pointId}`, pt.price]));
+  const pairs = curr
+    .map(pt => [pt.price, prevById.get(`${pt.survey}:${pt.pointId}`)])
+    .filter(([, before]) => before);
+  const pct = pairs.length > 0
+    ? pairs.reduce((s, [after, before]) => s + (after - before) / before, 0) / pairs.length * 100
+    : (mean(curr.map(pt => pt.price)) - mean(prev.map(pt => pt.price))) / mean(prev.map(pt => pt.price)) * 100;
+  return Math.round(pct * 100) / 100;
+}
+
+/**
+ * 1都市分のポイントから AREA_PROFILES と同じ形の地価指標を作る
+ * 坪単価・前年比・推移はどれも住宅地ポイント（pricingBasis）で揃え、住宅地ポイントが無い年は全用途で代用する。
+ * landPriceAvg だけは全用途の平均。
+ * @param {Array<object>} points - normalizeLandPricePoint の出力（同一都市）
+ * @param {number[]} years - 推移に含める年（昇順）
+ * @returns {object|null} ポイントが1件も無ければ null
+ */
+export function summarizeCityLandPrices(points, years) {
+  const byYear = new Map(years.map(y => [y, points.filter(pt => pt.year === y)]));
+  const available = years.filter(y => byYear.get(y).length > 0);
+  if (available.length === 0) return null;
+
+  const latestYear = available[available.length - 1];
+  const latest = byYear.get(latestYear);
+  const prev = byYear.get(latestYear - 1) || [];
+  const basis = pricingBasis(latest);
+  const residentialPrice = mean(basis.map(pt => pt.price));
+
+  return {
+    latestYear,
+    pointCount: latest.length,
+    landPriceAvg: mean(latest.map(pt => pt.price)),
+    residentialPrice,
+    commercialPrice: mean(latest.filter(isCommercial).map(pt => pt.price)),
+    pricePerTsubo: Math.round(residentialPrice * TSUBO_M2),
+    yoyChange: yoyChangePct(basis, pricingBasis(prev)),
+    trend: available.map(y => ({ y: String(y), p: mean(pricingBasis(byYear.get(y)).map(pt => pt.price)) })),
+  };
+}
+
+// ============================================================
+// タイル（XPT002 は z/x/y のタイル単位で返す）
+// ============================================================
+
+/** XPT002 が受け付ける最小ズーム */
+export const LAND_PRICE_TILE_ZOOM = 13;
+
+/**
+ * 市町の中心と面積から取得範囲のタイルを列挙
+ * 市域の形はわからないので、面積と同じ円の半径の2倍を取る（範囲外の地点は cityCode で落とす）
+ * @param {{ lat: number, lng: number, areaKm2?: number }} area - data/areas.json のエリア
+ * @param {number} [z]
+ * @returns {Array<{ z: number, x: number, y: number }>}
+ */
+export function tilesForArea(area, z = LAND_PRICE_TILE_ZOOM) {
+  const radiusKm = 2 * Math.sqrt((area.areaKm2 || 100) / Math.PI);
+  const dLat = radiusKm / 111;
+  const dLng = radiusKm / (111 * Math.cos(area.lat * Math.PI / 180));
+  const n = 2 ** z;
+  const tileX = lng => Math.floor((lng + 180) / 360 * n);
+  const tileY = lat => {
+    const r = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * n);
+  };
+  const tiles = [];
+  for (let x = tileX(area.lng - dLng); x <= tileX(area.lng + dLng); x++) {
+    for (let y = tileY(area.lat + dLat); y <= tileY(area.lat - dLat); y++) tiles.push({ z, x, y });
+  }
+  return tiles;
+}
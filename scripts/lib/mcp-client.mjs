@@ -0,0 +1,214 @@
+/**
+ * MCP Streamable HTTP クライアント（プロキシ対応）
+ * fetch-data.mjs から import し、build-pages.mjs がエリアページへインライン展開する。
+ * ブラウザでも動くよう fetch / AbortController / setTimeout のみを使う（Node専用APIは禁止）。
+ *
+ * - 1リクエストごとのタイムアウト
+ * - 429 / 5xx / ネットワークエラー / タイムアウト時はジッター付き指数バックオフで再試行
+ * - セッション切れ（404 や session エラー）を検知したら initialize() をやり直して再送
+ */
+
+/** クライアント設定の既定値（コンストラクタの options で上書き） */
+export const MCP_CLIENT_DEFAULTS = {
+  timeoutMs: 30000,      // 1リクエストのタイムアウト
+  maxRetries: 4,         // 再試行回数（初回を含まない）
+  baseDelayMs: 500,      // バックオフの基準待ち時間
+  maxDelayMs: 15000,     // バックオフの上限
+  clientName: 'mie-realestate',
+};
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+function mcpSleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * ジッター付き指数バックオフの待ち時間（ミリ秒）
+ * 上限の半分を固定、残り半分をランダムにして同時再試行の集中を避ける
+ * @param {number} attempt - 0始まりの再試行回数
+ * @param {{ baseDelayMs: number, maxDelayMs: number }} opts
+ * @returns {number}
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+export class MCPClient {
+  /**
+   * @param {string} mcpUrl - MCPサーバーURL
+   * @param {string} [proxyUrl] - プロキシURL（指定時はプロキシ → 直接の順に試行）
+   * @param {object} [options] - MCP_CLIENT_DEFAULTS の上書き
+   */
+  constructor(mcpUrl, proxyUrl, options = {}) {
+    this.mcpUrl = mcpUrl;
+    this.proxyUrl = proxyUrl;
+    this.options = { ...MCP_CLIENT_DEFAULTS, ...options };
+    this.sessionId = null;
+    this.requestId = 0;
+    this.connected = false;
+    this.tools = [];
+    this.useProxy = !!proxyUrl;
+  }
+
+  _buildFetchUrl() {
+    if (this.useProxy) {
+      return `${this.proxyUrl}?url=${encodeURIComponent(this.mcpUrl)}`;
+    }
+    return this.mcpUrl;
+  }
+
+  _headers(accept = 'application/json, text/event-stream') {
+    const headers = { 'Content-Type': 'application/json', 'Accept': accept };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    return headers;
+  }
+
+  /**
+   * タイムアウト付きで POST し、レスポンスをパースして返す
+   * エラーには status / retryable / sessionExpired を付与する
+   */
+  async _post(body, { accept, parse = true } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+    try {
+      const res = await fetch(this._buildFetchUrl(), {
+        method: 'POST',
+        headers: this._headers(accept),
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        const err = new Error(`HTTP ${res.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        err.status = res.status;
+        err.retryable = RETRYABLE_STATUS.has(res.status);
+        err.sessionExpired = !!this.sessionId && (res.status === 404 || (res.status === 400 && /session/i.test(text)));
+        const retryAfter = parseInt(res.headers.get('Retry-After'), 10);
+        if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+        throw err;
+      }
+
+      if (!parse) return res;
+      const sid = res.headers.get('Mcp-Session-Id') || res.headers.get('mcp-session-id');
+      if (sid) this.sessionId = sid;
+      return await this._parseResponse(res);
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        const err = new Error(`timeout after ${this.options.timeoutMs}ms`);
+        err.retryable = true;
+        throw err;
+      }
+      // fetch 自体の失敗（DNS・接続断など）は TypeError
+      if (e instanceof TypeError) e.retryable = true;
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async initialize() {
+    // Try proxy first, then direct
+    const attempts = this.proxyUrl
+      ? [true, false]  // proxy → direct
+      : [false];       // direct only
+
+    let lastError;
+    for (const viaProxy of attempts) {
+      try {
+        this.useProxy = viaProxy;
+        this.sessionId = null;
+
+        const data = await this._post({
+          jsonrpc: '2.0',
+          id: ++this.requestId,
+          method: 'initialize',
+          params: {
+            protocolVersion: '2025-03-26',
+            capabilities: {},
+            clientInfo: { name: this.options.clientName, version: '1.0.0' }
+          }
+        });
+
+        // Send initialized notification
+        await this._post(
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { accept: 'application/json', parse: false }
+        );
+
+        this.connected = true;
+        console.log(`MCP connected via ${viaProxy ? 'proxy' : 'direct'}`);
+        return data;
+      } catch (e) {
+        lastError = e;
+        console.warn(`MCP ${viaProxy ? 'proxy' : 'direct'} failed:`, e.message);
+      }
+    }
+    this.connected = false;
+    throw lastError;
+  }
+
+  async listTools() {
+    const data = await this._request('tools/list', {});
+    if (data && data.tools) this.tools = data.tools;
+    return this.tools;
+  }
+
+  async callTool(name, args = {}) {
+    return this._request('tools/call', { name, arguments: args });
+  }
+
+  async _request(method, params) {
+    const { maxRetries } = this.options;
+    let reinitialized = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._post({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+      } catch (e) {
+        // セッション切れ → 1回だけ再ハンドシェイクして再送（再試行回数には数えない）
+        if (e.sessionExpired && !reinitialized) {
+          reinitialized = true;
+          attempt--;
+          console.warn(`MCP session expired during ${method} — re-initializing`);
+          await this.initialize();
+          continue;
+        }
+        if (!e.retryable || attempt >= maxRetries) throw e;
+
+        const delay = Math.min(this.options.maxDelayMs, Math.max(backoffDelay(attempt, this.options), e.retryAfterMs || 0));
+        console.warn(`MCP ${method} failed (${e.message}) — retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await mcpSleep(delay);
+      }
+    }
+  }
+
+  async _parseResponse(res) {
+    const ct = res.headers.get('Content-Type') || '';
+    let message;
+    if (ct.includes('text/event-stream')) {
+      const text = await res.text();
+      const lines = text.split('\n');
+      let lastData = null;
+      for (const line of lines) {
+        if (line.startsWith('data: ')) {
+          try { lastData = JSON.parse(line.slice(6)); } catch {}
+        }
+      }
+      message = lastData;
+    } else {
+      message = await res.json();
+    }
+
+    // JSON-RPC エラー（セッション関連は再ハンドシェイク対象）
+    if (message && message.error && !message.result) {
+      const err = new Error(`MCP error ${message.error.code ?? ''}: ${message.error.message || 'unknown'}`);
+      err.rpcCode = message.error.code;
+      err.sessionExpired = /session/i.test(message.error.message || '');
+      throw err;
+    }
+    return message?.result || message;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * MLIT DPF GraphQL の search 応答をページ単位でディスクに保存・再生する
+ * fetch-mlit-data.mjs が取得したページを書き込み（--resume で再利用）、
+ * mock-mlit-server.mjs が同じファイルを応答として返す。記録 = キャッシュ = フィクスチャ。
+ *
+ * キーはクエリ本文（first を除いて空白を正規化）のハッシュ + オフセット:
+ *   {sha1 先頭16桁}-{first}.json → { query, first, recordedAt, data }
+ * 手で作ったページ（scripts/fixtures/mlit）は recordedAt の代わりに synthetic: true を持つ。
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const MLIT_CACHE_DIR = join(ROOT, 'data', 'mlit-cache');
+
+/**
+ * クエリ → ページのキー
+ * @param {string} query - GraphQL クエリ本文
+ * @returns {string} '{hash}-{first}'
+ */
+export function mlitPageKey(query) {
+  const first = (query.match(/first:\s*(\d+)/) || [])[1] || '0';
+  const base = query.replace(/first:\s*\d+/, 'first: _').replace(/\s+/g, ' ').trim();
+  return `${createHash('sha1').update(base).digest('hex').slice(0, 16)}-${first}`;
+}
+
+/**
+ * 保存済みページの data（GraphQL 応答の data 部）を返す。無ければ null
+ * @param {string} dir
+ * @param {string} query
+ * @returns {object|null}
+ */
+export function readMlitPage(dir, query) {
+  const path = join(dir, `${mlitPageKey(query)}.json`);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8')).data ?? null;
+  } catch {
+    return null;  // 書きかけ・壊れたファイルは未取得扱い
+  }
+}
+
+/**
+ * ページを保存する
+ * @param {string} dir
+ * @param {string} query
+ * @param {object} data - GraphQL 応答の data 部
+ */
+export function writeMlitPage(dir, query, data) {
+  mkdirSync(dir, { recursive: true });
+  const first = parseInt((query.match(/first:\s*(\d+)/) || [])[1] || '0', 10);
+  const record = { query, first, recordedAt: new Date().toISOString(), data };
+  writeFileSync(join(dir, `${mlitPageKey(query)}.json`), JSON.stringify(record) + '\n', 'utf-8');
+}
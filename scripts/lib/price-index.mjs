@@ -0,0 +1,125 @@
+/**
+ * 取引の四半期価格指数（市町・地区単位）
+ * エリアページにインライン展開し、詳細画面と地区サイドバーのグラフに使う。
+ *
+ * 取引の Period（「2024年第4四半期」）で四半期に分け、種別ごとに
+ *   count             … その四半期の取引件数（㎡単価が出せるもの）
+ *   medianPerM2       … その四半期の㎡単価の中央値
+ *   rollingMedianPerM2… 直近4四半期をまとめた㎡単価の中央値（件数が少ない地区でも線になる）
+ *   rollingCount      … その4四半期の取引件数
+ *   change4q          … rollingMedianPerM2 の4四半期前比（%）
+ * を出す。件数が minTrades 未満の中央値は null（グラフでは途切れる）。
+ * 四半期キーは transaction-store.mjs の quarterKey と同じ `${year}Q${quarter}`。
+ * trade-quality.mjs で外れ値・住宅以外と判定された取引は使わない。
+ */
+
+/** 価格指数を出す種別（土地のみと土地建物は単価の意味が違うので混ぜない） */
+export const PRICE_INDEX_SEGMENTS = [
+  { key: 'land', label: '土地', type: '宅地(土地)' },
+  { key: 'landBuilding', label: '土地と建物', type: '宅地(土地と建物)' },
+];
+
+const MIN_TRADES = 3;
+const ROLLING_QUARTERS = 4;
+const ERA_OFFSETS = { 令和: 2018, 平成: 1988 };
+
+/**
+ * Period を四半期キーにする（「2024年第4四半期」「令和6年第4四半期」→ '2024Q4'）
+ * @param {string} period
+ * @returns {string|null}
+ */
+export function parsePeriod(period) {
+  const m = String(period || '').replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .match(/^(令和|平成)?(\d+|元)年第(\d)四半期/);
+  if (!m) return null;
+  const n = m[2] === '元' ? 1 : parseInt(m[2], 10);
+  const year = m[1] ? ERA_OFFSETS[m[1]] + n : n;
+  const quarter = parseInt(m[3], 10);
+  return quarter >= 1 && quarter <= 4 ? `${year}Q${quarter}` : null;
+}
+
+/**
+ * from 〜 to の四半期キー（古い順、両端を含む）
+ * @param {string} from - '2020Q1'
+ * @param {string} to - '2024Q4'
+ * @returns {string[]}
+ */
+export function quarterRange(from, to) {
+  const idx = k => { const [y, q] = k.split('Q').map(Number); return y * 4 + (q - 1); };
+  const keys = [];
+  for (let i = idx(from); i <= idx(to); i++) keys.push(`${Math.floor(i / 4)}Q${(i % 4) + 1}`);
+  return keys;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 取引から種別ごとの四半期価格指数を作る
+ * @param {Array<object>} transactions - normalizeTransaction 済みの取引
+ * @param {{ minTrades?: number }} [options]
+ * @returns {{ quarters: string[], segments: Object<string, Array<{ quarter: string, count: number, medianPerM2: number|null, rollingMedianPerM2: number|null, rollingCount: number, change4q: number|null }>> }}
+ */
+export function buildPriceIndex(transactions, { minTrades = MIN_TRADES } = {}) {
+  const buckets = {};
+  for (const seg of PRICE_INDEX_SEGMENTS) buckets[seg.key] = new Map();
+  const seen = [];
+  for (const t of transactions) {
+    const seg = PRICE_INDEX_SEGMENTS.find(s => s.type === t.Type);
+    const quarter = parsePeriod(t.Period);
+    if (!seg || !quarter || !(t.TradePrice > 0) || !(t.Area > 0)) continue;
+    if (t.quality != null && t.quality !== 'normal') continue;
+    const list = buckets[seg.key].get(quarter) || [];
+    list.push(t.TradePrice / t.Area);
+    buckets[seg.key].set(quarter, list);
+    seen.push(quarter);
+  }
+  if (seen.length === 0) return { quarters: [], segments: Object.fromEntries(PRICE_INDEX_SEGMENTS.map(s => [s.key, []])) };
+
+  seen.sort();
+  const quarters = quarterRange(seen[0], seen[seen.length - 1]);
+  const segments = {};
+  for (const seg of PRICE_INDEX_SEGMENTS) {
+    const rows = quarters.map((quarter, i) => {
+      const values = buckets[seg.key].get(quarter) || [];
+      const pooled = quarters.slice(Math.max(0, i - ROLLING_QUARTERS + 1), i + 1).flatMap(q => buckets[seg.key].get(q) || []);
+      return {
+        quarter,
+        count: values.length,
+        medianPerM2: values.length >= minTrades ? Math.round(median(values)) : null,
+        rollingMedianPerM2: i >= ROLLING_QUARTERS - 1 && pooled.length >= minTrades ? Math.round(median(pooled)) : null,
+        rollingCount: pooled.length,
+        change4q: null,
+      };
+    });
+    rows.forEach((row, i) => {
+      const prev = rows[i - ROLLING_QUARTERS];
+      if (prev && prev.rollingMedianPerM2 && row.rollingMedianPerM2) {
+        row.change4q = Math.round((row.rollingMedianPerM2 / prev.rollingMedianPerM2 - 1) * 1000) / 10;
+      }
+    });
+    segments[seg.key] = rows;
+  }
+  return { quarters, segments };
+}
+
+/**
+ * 種別ごとの最新値（rollingMedianPerM2 が出ている最後の四半期）
+ * @param {ReturnType<typeof buildPriceIndex>} index
+ * @returns {Object<string, { quarter: string, rollingMedianPerM2: number, rollingCount: number, change4q: number|null }|null>}
+ */
+export function latestPriceIndex(index) {
+  const out = {};
+  for (const seg of PRICE_INDEX_SEGMENTS) {
+    const rows = index.segments[seg.key] || [];
+    const last = [...rows].reverse().find(r => r.rollingMedianPerM2 != null);
+    out[seg.key] = last
+      ? { quarter: last.quarter, rollingMedianPerM2: last.rollingMedianPerM2, rollingCount: last.rollingCount, change4q: last.change4q }
+      : null;
+  }
+  return out;
+}
@@ -0,0 +1,148 @@
+/**
+ * バッチ実行ごとのスナップショットと差分レポート
+ * data/snapshots/{YYYY-MM-DD}.json に都市別の件数・平均価格・四半期・取引キーを保存し、
+ * 直前のスナップショットとの差分を data/snapshots/latest-diff.json に書き出す。
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { transactionKey } from './transactions.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const SNAPSHOT_DIR = join(ROOT, 'data', 'snapshots');
+export const LATEST_DIFF_PATH = join(SNAPSHOT_DIR, 'latest-diff.json');
+
+const SNAPSHOT_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+const PERIOD_RE = /(\d{4})年第(\d)四半期/;
+
+// ============================================================
+// スナップショット作成
+// ============================================================
+
+function periodToQuarter(period) {
+  const m = (period || '').match(PERIOD_RE);
+  return m ? `${m[1]}Q${m[2]}` : null;
+}
+
+/**
+ * live-data.json 形式の結果からスナップショットを作成
+ * @param {{ fetchedAt: string, coverage?: object, areas: object }} result
+ * @returns {object}
+ */
+export function buildSnapshot(result) {
+  const areas = {};
+  for (const [id, a] of Object.entries(result.areas)) {
+    const quarters = [...new Set(a.transactions.map(t => periodToQuarter(t.Period)).filter(Boolean))].sort();
+    areas[id] = {
+      name: a.name,
+      transactionCount: a.transactionCount,
+      avgTradePrice: a.avgTradePrice,
+      quarters,
+      tradeKeys: a.transactions.map(transactionKey).sort(),
+    };
+  }
+  return {
+    date: result.fetchedAt.slice(0, 10),
+    fetchedAt: result.fetchedAt,
+    coverage: result.coverage || null,
+    areas,
+  };
+}
+
+// ============================================================
+// 読み書き
+// ============================================================
+
+/**
+ * 指定日より前の最新スナップショットを読み込む（無ければ null）
+ * @param {string} beforeDate - 'YYYY-MM-DD'（この日付のスナップショットは除外）
+ * @returns {object|null}
+ */
+export function loadPreviousSnapshot(beforeDate) {
+  if (!existsSync(SNAPSHOT_DIR)) return null;
+  const dates = readdirSync(SNAPSHOT_DIR)
+    .map(f => f.match(SNAPSHOT_FILE_RE))
+    .filter(Boolean)
+    .map(m => m[1])
+    .filter(d => d < beforeDate)
+    .sort();
+  if (dates.length === 0) return null;
+  try {
+    return JSON.parse(readFileSync(join(SNAPSHOT_DIR, `${dates[dates.length - 1]}.json`), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * スナップショットを保存（同日の再実行は上書き）
+ * @param {object} snapshot
+ * @returns {string} 保存先パス
+ */
+export function writeSnapshot(snapshot) {
+  mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const path = join(SNAPSHOT_DIR, `${snapshot.date}.json`);
+  writeFileSync(path, JSON.stringify(snapshot, null, 2) + '\n', 'utf-8');
+  return path;
+}
+
+/**
+ * 差分レポートを保存
+ * @param {object} diff
+ */
+export function writeLatestDiff(diff) {
+  mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  writeFileSync(LATEST_DIFF_PATH, JSON.stringify(diff, null, 2) + '\n', 'utf-8');
+}
+
+// ============================================================
+// 差分
+// ============================================================
+
+/**
+ * 2つのスナップショットの差分（新規・消失した取引、平均価格の変動）
+ * @param {object|null} prev - 直前のスナップショット（初回は null）
+ * @param {object} curr
+ * @returns {object}
+ */
+export function diffSnapshots(prev, curr) {
+  const areas = {};
+  for (const [id, c] of Object.entries(curr.areas)) {
+    const p = prev?.areas?.[id];
+    const prevKeys = new Set(p ? p.tradeKeys : []);
+    const currKeys = new Set(c.tradeKeys);
+    const added = c.tradeKeys.filter(k => !prevKeys.has(k));
+    const removed = p ? p.tradeKeys.filter(k => !currKeys.has(k)) : [];
+
+    const before = p ? p.avgTradePrice : null;
+    const after = c.avgTradePrice;
+    const changePct = before && after
+      ? Math.round((after - before) / before * 1000) / 10
+      : null;
+
+    areas[id] = {
+      name: c.name,
+      transactionCount: { before: p ? p.transactionCount : null, after: c.transactionCount },
+      avgTradePrice: { before, after, changePct },
+      quarters: {
+        added: c.quarters.filter(q => !p || !p.quarters.includes(q)),
+        removed: p ? p.quarters.filter(q => !c.quarters.includes(q)) : [],
+      },
+      addedCount: added.length,
+      removedCount: removed.length,
+      added,
+      removed,
+    };
+  }
+
+  const sum = key => Object.values(areas).reduce((s, a) => s + a[key], 0);
+  return {
+    from: prev ? prev.date : null,
+    to: curr.date,
+    generatedAt: new Date().toISOString(),
+    totals: { added: sum('addedCount'), removed: sum('removedCount') },
+    areas,
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * 駅マスタ（data/stations.json）の索引と検証
+ * build-pages.mjs が検証してエリアページの STATION_DATA に注入し、このモジュールもページにインライン展開する。
+ * 取引の NearestStation（「白子(三重)」「近鉄四日市駅」など表記ゆれあり）や地区名から駅を引き当てる。
+ */
+
+const STATION_NUMBER_FIELDS = ['lat', 'lng', 'toNagoyaMin', 'toYokkaichiMin', 'trainsPerHour'];
+
+/**
+ * 駅名の表記ゆれを揃える（空白・括弧書き・末尾の「駅」を除き、ケ → ヶ）
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeStationName(name) {
+  return String(name || '')
+    .replace(/[\s　]/g, '')
+    .replace(/[（(].*?[)）]/g, '')
+    .replace(/駅$/, '')
+    .replace(/ケ/g, 'ヶ');
+}
+
+/**
+ * 駅の索引を作る
+ * 引き当ての順: 駅名・別名の完全一致 → 正規化後の一致（駅名優先）→ 前方一致（候補が1駅のときだけ）
+ * 部分一致は使わない（「津」が津新町に、「桑名」が西桑名に当たるため）
+ * @param {Array<object>} stations - data/stations.json の stations
+ * @returns {{ stations: Array<object>, find: (name: string) => object|null }}
+ */
+export function createStationIndex(stations) {
+  const exact = new Map();
+  const normalized = new Map();
+  for (const s of stations) {
+    exact.set(s.name, s);
+    normalized.set(normalizeStationName(s.name), s);
+  }
+  for (const s of stations) {
+    for (const alias of s.aliases || []) {
+      if (!exact.has(alias)) exact.set(alias, s);
+      const key = normalizeStationName(alias);
+      if (!normalized.has(key)) normalized.set(key, s);
+    }
+  }
+
+  function find(name) {
+    if (!name) return null;
+    if (exact.has(name)) return exact.get(name);
+    const cleaned = normalizeStationName(name);
+    if (!cleaned) return null;
+    if (normalized.has(cleaned)) return normalized.get(cleaned);
+    // 「湯の山」→ 湯の山温泉 のような省略だけ拾う。複数の駅に当たる接頭辞（「伊勢」など）は引き当てない
+    const candidates = new Set();
+    for (const [key, s] of normalized) {
+      if (key.startsWith(cleaned)) candidates.add(s);
+    }
+    return candidates.size === 1 ? [...candidates][0] : null;
+  }
+
+  return { stations, find };
+}
+
+/**
+ * 駅マスタの必須項目・重複・所属エリアを検証する
+ * @param {{ version: string, stations: Array<object> }} data
+ * @param {string[]} areaIds - data/areas.json のエリア id
+ * @returns {string[]} エラーメッセージ（問題なければ空）
+ */
+export function validateStationData(data, areaIds) {
+  const errors = [];
+  if (!data?.version) errors.push('version がありません');
+  const seen = new Map();
+  for (const s of data?.stations || []) {
+    const label = s.name || '(name なし)';
+    if (!s.name) errors.push(`${label}: name がありません`);
+    if (!areaIds.includes(s.cityId)) errors.push(`${label}: cityId "${s.cityId}" が data/areas.json にありません`);
+    if (!Array.isArray(s.lines) || s.lines.length === 0 || s.lines.some(l => !l.operator || !l.name)) {
+      errors.push(`${label}: lines（operator / name）がありません`);
+    }
+    for (const f of STATION_NUMBER_FIELDS) {
+      if (typeof s[f] !== 'number' || !Number.isFinite(s[f]) || s[f] < 0) errors.push(`${label}: ${f} が数値ではありません`);
+    }
+    if (!Number.isInteger(s.transfers?.nagoya) || !Number.isInteger(s.transfers?.yokkaichi)) {
+      errors.push(`${label}: transfers.nagoya / transfers.yokkaichi がありません`);
+    }
+    for (const n of [s.name, ...(s.aliases || [])]) {
+      if (seen.has(n)) errors.push(`${label}: "${n}" が ${seen.get(n)} と重複しています`);
+      else seen.set(n, label);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,163 @@
+/**
+ * 取引の外れ値・市場外取引の判定
+ * fetch-data.mjs が live-data.json に書く前に付け、build-pages.mjs がエリアページへインライン展開する
+ * （ブラウザで MCP から取り直した取引にも同じ判定を付ける）。
+ *
+ * 各取引に quality（'normal' | 'outlier' | 'non-residential'）と qualityReason（判定理由、normal は null）を付ける:
+ *   non-residential … 種別が農地・林地、または用途（Use）が住宅を含まず事務所・店舗・工場・倉庫などだけのもの
+ *   outlier         … 道路・私道持分のような極小区画、面積が上限値（9999㎡・8888㎡。実面積が分からない大規模区画で、
+ *                     ㎡単価が数円になる）のもの、ln(㎡単価) が同じ市町・種別・用途地域グループの中央値から
+ *                     MAD ベースの修正 z 値で大きく外れるもの（親族間・関係会社間の取引のような相場外の価格）、
+ *                     ln(面積) が同じく大きく上に外れるもの（開発用地・一団の土地）
+ * 平均取引価格などの集計は quality が normal（または未判定）の取引だけを使う。
+ */
+
+export const TRADE_QUALITY = { normal: 'normal', outlier: 'outlier', nonResidential: 'non-residential' };
+
+export const TRADE_QUALITY_LABELS = {
+  'normal': '通常',
+  'outlier': '外れ値',
+  'non-residential': '住宅以外',
+};
+
+/** 用途地域のグループ（順に判定） */
+const ZONING_GROUPS = [
+  ['nonDelineated', /調整区域外|非線引/],
+  ['urbanizationControl', /市街化調整区域/],
+  ['outsidePlanning', /都市計画区域外/],
+  ['lowRise', /低層住居専用/],
+  ['midRise', /中高層住居専用/],
+  ['residential', /住居地域/],
+  ['commercial', /商業/],
+  ['industrial', /工業/],
+];
+
+const NON_RESIDENTIAL_TYPES = /農地|林地/;
+const NON_RESIDENTIAL_USES = /事務所|店舗|工場|倉庫|作業場|駐車場|道路/;
+const RESIDENTIAL_USE = /住宅/;
+const MIN_LOT_M2 = 30;                  // これ未満の土地は道路・水路・私道持分とみなす（マンションは専有面積なので除く）
+const CAPPED_AREAS = [8888, 9999];      // 出典が「この面積以上」を表す上限値（9999 以上も上限扱い）
+const MIN_GROUP_TRADES = 8;             // 市町×種別×用途地域がこれ未満なら市町×種別でまとめる
+const MAX_MODIFIED_Z = 3.5;             // Iglewicz & Hoaglin の目安
+const MAD_TO_SIGMA = 1.4826;
+const MIN_LN_SCALE = { unit: 0.3, area: 0.4 }; // 揃いすぎたグループで数割の差を外れ値にしないための σ の下限（対数）
+
+/**
+ * CityPlanning を用途地域グループに分ける
+ * @param {string} cityPlanning
+ * @returns {string} ZONING_GROUPS のキー、該当なしは 'unknown'
+ */
+export function zoningGroup(cityPlanning) {
+  const s = String(cityPlanning || '');
+  const hit = ZONING_GROUPS.find(([, re]) => re.test(s));
+  return hit ? hit[0] : 'unknown';
+}
+
+/**
+ * 集計から外す取引か（未判定の取引は通常扱い）
+ * @param {object} t
+ * @returns {boolean}
+ */
+export function isFlaggedTransaction(t) {
+  return t.quality != null && t.quality !== TRADE_QUALITY.normal;
+}
+
+/**
+ * 面積が出典の上限値か（実面積が分からないので㎡単価が出せない）
+ * @param {number|null} area
+ * @returns {boolean}
+ */
+export function isCappedArea(area) {
+  return area >= CAPPED_AREAS[CAPPED_AREAS.length - 1] || CAPPED_AREAS.includes(area);
+}
+
+/** 種別・用途・面積だけで決まる判定（該当なしは null） */
+function ruleBasedQuality(t) {
+  if (NON_RESIDENTIAL_TYPES.test(t.Type || '')) return [TRADE_QUALITY.nonResidential, `種別: ${t.Type}`];
+  const use = t.Use || '';
+  if (use && !RESIDENTIAL_USE.test(use) && NON_RESIDENTIAL_USES.test(use)) return [TRADE_QUALITY.nonResidential, `用途: ${use}`];
+  if (t.Type !== '中古マンション等' && t.Area > 0 && t.Area < MIN_LOT_M2) return [TRADE_QUALITY.outlier, `面積 ${t.Area}㎡`];
+  if (isCappedArea(t.Area)) return [TRADE_QUALITY.outlier, `面積が上限値（${t.Area}㎡、実面積不明）`];
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** 中央値と MAD（σ 換算、minScale 未満は切り上げ） */
+function robustStats(values, minScale) {
+  const center = median(values);
+  const scale = median(values.map(v => Math.abs(v - center))) * MAD_TO_SIGMA;
+  return { center, scale: Math.max(scale, minScale) };
+}
+
+/**
+ * 1市町分の取引に quality / qualityReason を付ける（入力は変更せず、新しいレコードの配列を返す）
+ * @param {Array<object>} transactions - normalizeTransaction 済みの取引（同じ市町のもの）
+ * @returns {Array<object>}
+ */
+export function classifyTransactions(transactions) {
+  const results = transactions.map(t => ruleBasedQuality(t));
+
+  // 統計判定は規則で弾かれなかった、価格と面積のある取引だけで行う
+  const candidates = [];
+  transactions.forEach((t, i) => {
+    if (!results[i] && t.TradePrice > 0 && t.Area > 0) {
+      candidates.push({ i, type: t.Type || '', zone: zoningGroup(t.CityPlanning), lnUnit: Math.log(t.TradePrice / t.Area), lnArea: Math.log(t.Area) });
+    }
+  });
+  const groupBy = keyOf => {
+    const groups = new Map();
+    for (const c of candidates) {
+      const key = keyOf(c);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(c);
+    }
+    return groups;
+  };
+  const byZone = groupBy(c => `${c.type}|${c.zone}`);
+  const byType = groupBy(c => c.type);
+
+  const statsCache = new Map();
+  const statsFor = (key, members) => {
+    if (!statsCache.has(key)) {
+      statsCache.set(key, members.length >= MIN_GROUP_TRADES
+        ? { unit: robustStats(members.map(m => m.lnUnit), MIN_LN_SCALE.unit), area: robustStats(members.map(m => m.lnArea), MIN_LN_SCALE.area) }
+        : null);
+    }
+    return statsCache.get(key);
+  };
+
+  for (const c of candidates) {
+    const zoneKey = `${c.type}|${c.zone}`;
+    const stats = statsFor(zoneKey, byZone.get(zoneKey)) || statsFor(c.type, byType.get(c.type));
+    if (!stats) continue;
+    const zUnit = (c.lnUnit - stats.unit.center) / stats.unit.scale;
+    const zArea = (c.lnArea - stats.area.center) / stats.area.scale;
+    if (Math.abs(zUnit) > MAX_MODIFIED_Z) {
+      results[c.i] = [TRADE_QUALITY.outlier, `㎡単価が相場より${zUnit > 0 ? '高い' : '低い'}（z=${zUnit.toFixed(1)}）`];
+    } else if (zArea > MAX_MODIFIED_Z) {
+      results[c.i] = [TRADE_QUALITY.outlier, `面積が大きい（${transactions[c.i].Area}㎡）`];
+    }
+  }
+
+  return transactions.map((t, i) => ({
+    ...t,
+    quality: results[i] ? results[i][0] : TRADE_QUALITY.normal,
+    qualityReason: results[i] ? results[i][1] : null,
+  }));
+}
+
+/**
+ * quality ごとの件数
+ * @param {Array<object>} transactions
+ * @returns {{ normal: number, outlier: number, 'non-residential': number }}
+ */
+export function countTradeQuality(transactions) {
+  const counts = { 'normal': 0, 'outlier': 0, 'non-residential': 0 };
+  for (const t of transactions) counts[t.quality in counts ? t.quality : 'normal']++;
+  return counts;
+}
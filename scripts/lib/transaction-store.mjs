@@ -0,0 +1,114 @@
+/**
+ * 取引データの四半期ストア
+ * data/transactions/{cityId}/{YYYY}Q{q}.json に1都市×1四半期ずつ保存する。
+ * 取得済みの四半期は上書きせず保持し、live-data.json はこのストアから組み立てる。
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..', '..');
+export const STORE_DIR = join(ROOT, 'data', 'transactions');
+
+const QUARTER_FILE_RE = /^(\d{4})Q([1-4])\.json$/;
+
+// ============================================================
+// パス・キー
+// ============================================================
+
+/**
+ * 四半期キー（例: '2024Q4'）
+ * @param {{ year: string|number, quarter: string|number }} yq
+ * @returns {string}
+ */
+export function quarterKey({ year, quarter }) {
+  return `${year}Q${quarter}`;
+}
+
+function quarterPath(cityId, key) {
+  return join(STORE_DIR, cityId, `${key}.json`);
+}
+
+// ============================================================
+// 読み書き
+// ============================================================
+
+/**
+ * 指定都市・四半期のデータが保存済みか
+ * @param {string} cityId
+ * @param {string} key - '2024Q4'
+ * @returns {boolean}
+ */
+export function hasQuarter(cityId, key) {
+  return existsSync(quarterPath(cityId, key));
+}
+
+/**
+ * 保存済みの四半期データを読み込む（無ければ null）
+ * @param {string} cityId
+ * @param {string} key
+ * @returns {{ cityCode: string, quarter: string, fetchedAt: string, transactions: Array }|null}
+ */
+export function readQuarter(cityId, key) {
+  const path = quarterPath(cityId, key);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 四半期データを保存する
+ * @param {string} cityId
+ * @param {string} key
+ * @param {{ cityCode: string, transactions: Array }} data
+ */
+export function writeQuarter(cityId, key, { cityCode, transactions }) {
+  const path = quarterPath(cityId, key);
+  mkdirSync(dirname(path), { recursive: true });
+  const entry = {
+    cityCode,
+    quarter: key,
+    fetchedAt: new Date().toISOString(),
+    transactions,
+  };
+  writeFileSync(path, JSON.stringify(entry, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * 都市ごとの保存済み四半期キー一覧（新しい順）
+ * @param {string} cityId
+ * @returns {string[]}
+ */
+export function listQuarters(cityId) {
+  const dir = join(STORE_DIR, cityId);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .map(f => f.match(QUARTER_FILE_RE))
+    .filter(Boolean)
+    .map(m => `${m[1]}Q${m[2]}`)
+    .sort()
+    .reverse();
+}
+
+/**
+ * 指定四半期群の取引をストアから結合する（欠けている四半期はスキップ）
+ * @param {string} cityId
+ * @param {string[]} keys - 新しい順の四半期キー
+ * @returns {{ transactions: Array, quarters: string[] }}
+ */
+export function assembleTransactions(cityId, keys) {
+  const transactions = [];
+  const quarters = [];
+  for (const key of keys) {
+    const entry = readQuarter(cityId, key);
+    if (!entry) continue;
+    transactions.push(...entry.transactions);
+    quarters.push(key);
+  }
+  return { transactions, quarters };
+}
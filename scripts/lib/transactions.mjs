@@ -0,0 +1,132 @@
+/**
+ * REINFOLIB 取引データの抽出・正規化・重複排除
+ * fetch-data.mjs から import し、build-pages.mjs がエリアページへインライン展開する。
+ * バッチとブラウザで同一のレコードを生成するため、ロジックはここだけに置くこと。
+ */
+
+// ============================================================
+// MCPレスポンスからの抽出
+// ============================================================
+
+/**
+ * reinfolib-real-estate-price の tools/call 結果から生レコード配列を取り出す
+ * @param {object|string} data - MCPClient.callTool の戻り値
+ * @returns {Array<object>}
+ */
+export function extractTransactionsFromMCPResponse(data) {
+  let content = data;
+  if (content && content.content) content = content.content;
+  if (!Array.isArray(content)) {
+    // Try alternative structures
+    if (content && content.data && Array.isArray(content.data)) return content.data;
+    if (content && typeof content === 'string') {
+      try {
+        const p = JSON.parse(content);
+        if (p.data && Array.isArray(p.data)) return p.data;
+      } catch {}
+    }
+    return [];
+  }
+  const textContent = content.find(c => c.type === 'text');
+  if (!textContent) return [];
+  try {
+    const parsed = JSON.parse(textContent.text);
+    if (parsed.data && Array.isArray(parsed.data)) return parsed.data;
+    // Try other keys
+    for (const key of Object.keys(parsed)) {
+      if (Array.isArray(parsed[key]) && parsed[key].length > 0) return parsed[key];
+    }
+  } catch {}
+  return [];
+}
+
+// ============================================================
+// 正規化
+// ============================================================
+
+/**
+ * 生レコードを live-data.json の取引レコード形式に正規化
+ * @param {object} d - REINFOLIB の生レコード
+ * @returns {object}
+ */
+export function normalizeTransaction(d) {
+  const price = (d.TradePrice != null && d.TradePrice !== '') ? parseInt(d.TradePrice, 10) : null;
+  const area = (d.Area != null && d.Area !== '') ? parseFloat(d.Area) : null;
+  return {
+    TradePrice: Number.isNaN(price) ? null : price,
+    Type: d.Type || d.TradeType || '',
+    Area: Number.isNaN(area) ? null : area,
+    FloorPlan: d.FloorPlan || '',
+    BuildingYear: d.BuildingYear || '',
+    NearestStation: d.NearestStation || '',
+    DistanceToStation: d.TimeToNearestStation || d.DistanceToStation || '',
+    Use: d.Use || d.Purpose || '',
+    District: d.DistrictName || d.Region || d.District || '',
+    Structure: d.Structure || '',
+    CityPlanning: d.CityPlanning || '',
+    Period: d.Period || '',
+  };
+}
+
+// ============================================================
+// 重複排除
+// ============================================================
+
+/**
+ * 正規化済み取引の識別キー（重複排除・スナップショット差分で共通）
+ * @param {object} t - normalizeTransaction の出力
+ * @returns {string}
+ */
+export function transactionKey(t) {
+  return [
+    t.TradePrice ?? '',
+    t.District,
+    t.Area ?? '',
+    t.Period,
+    t.Type,
+    t.BuildingYear,
+    t.NearestStation,
+    t.FloorPlan,
+    t.Structure,
+  ].join('|');
+}
+
+/**
+ * 正規化済み取引から重複を除く（先に出現したものを残す）
+ * @param {Array<object>} transactions
+ * @returns {Array<object>}
+ */
+export function deduplicateTransactions(transactions) {
+  const seen = new Set();
+  return transactions.filter(t => {
+    const key = transactionKey(t);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 生レコード → 正規化 → 重複排除
+ * @param {Array<object>} records
+ * @returns {Array<object>}
+ */
+export function processTransactions(records) {
+  return deduplicateTransactions(records.map(normalizeTransaction));
+}
+
+/**
+ * 平均取引価格（価格のないレコードは除外、該当なしは null）
+ * trade-quality.mjs で外れ値・住宅以外と判定された取引は、includeFlagged を指定しない限り除外する
+ * @param {Array<object>} transactions
+ * @param {{ includeFlagged?: boolean }} [options]
+ * @returns {number|null}
+ */
+export function averageTradePrice(transactions, { includeFlagged = false } = {}) {
+  const prices = transactions
+    .filter(t => t.TradePrice != null && (includeFlagged || t.quality == null || t.quality === 'normal'))
+    .map(t => t.TradePrice);
+  return prices.length > 0
+    ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length)
+    : null;
+}
@@ -0,0 +1,156 @@
+/**
+ * 地図の取引フィルター（種別・四半期・価格帯・面積帯・用途地域・駅徒歩）
+ * エリアページにインライン展開し、ピン・取引一覧・地区の円・サイドバーの集計に同じ条件をかける。
+ * 条件は URL のクエリ（tx_ で始まるキー）に保存し、共有・再読込で復元する:
+ *   tx_type=land,landBuilding  tx_from=2023Q1  tx_to=2024Q4  tx_price=500-3000（万円）
+ *   tx_area=100-300（㎡）  tx_zone=lowRise,residential  tx_walk=10（分以内）
+ * 範囲の片側は省略可（tx_price=-3000 は 3000万円以下）。
+ * 四半期は price-index.mjs の parsePeriod、用途地域は trade-quality.mjs の zoningGroup、徒歩分は commute.mjs の parseWalkMinutes を使う。
+ */
+
+import { parsePeriod } from './price-index.mjs';
+import { zoningGroup } from './trade-quality.mjs';
+import { parseWalkMinutes } from './commute.mjs';
+
+export const TX_FILTER_TYPES = [
+  { key: 'land', label: '土地', type: '宅地(土地)' },
+  { key: 'landBuilding', label: '土地と建物', type: '宅地(土地と建物)' },
+  { key: 'condo', label: 'マンション', type: '中古マンション等' },
+  { key: 'farmland', label: '農地', type: '農地' },
+  { key: 'forest', label: '林地', type: '林地' },
+];
+
+/** 用途地域グループ（キーは zoningGroup の戻り値） */
+export const TX_FILTER_ZONINGS = [
+  { key: 'lowRise', label: '低層住居' },
+  { key: 'midRise', label: '中高層住居' },
+  { key: 'residential', label: '住居' },
+  { key: 'commercial', label: '商業' },
+  { key: 'industrial', label: '工業' },
+  { key: 'urbanizationControl', label: '調整区域' },
+  { key: 'nonDelineated', label: '非線引' },
+  { key: 'outsidePlanning', label: '都市計画区域外' },
+  { key: 'unknown', label: '不明' },
+];
+
+/** 駅徒歩の選択肢（分以内） */
+export const TX_FILTER_WALK_OPTIONS = [5, 10, 15, 20, 30];
+
+const QUARTER_RE = /^\d{4}Q[1-4]$/;
+
+/**
+ * 条件なしのフィルター
+ * @returns {{ types: string[], from: string|null, to: string|null, priceMin: number|null, priceMax: number|null, areaMin: number|null, areaMax: number|null, zonings: string[], walkMax: number|null }}
+ */
+export function emptyTxFilter() {
+  return { types: [], from: null, to: null, priceMin: null, priceMax: null, areaMin: null, areaMax: null, zonings: [], walkMax: null };
+}
+
+/**
+ * 条件が1つでもあるか
+ * @param {ReturnType<typeof emptyTxFilter>} f
+ * @returns {boolean}
+ */
+export function isTxFilterActive(f) {
+  return f.types.length > 0 || f.zonings.length > 0
+    || [f.from, f.to, f.priceMin, f.priceMax, f.areaMin, f.areaMax, f.walkMax].some(v => v != null);
+}
+
+/**
+ * 取引が条件に合うか。価格・面積・四半期・徒歩分が不明な取引は、その条件があれば外す
+ * @param {object} tx - normalizeTransaction 済みの取引
+ * @param {ReturnType<typeof emptyTxFilter>} f - 価格は万円、面積は㎡
+ * @returns {boolean}
+ */
+export function txMatchesFilter(tx, f) {
+  if (f.types.length > 0 && !f.types.some(k => TX_FILTER_TYPES.find(t => t.key === k)?.type === tx.Type)) return false;
+  if (f.zonings.length > 0 && !f.zonings.includes(zoningGroup(tx.CityPlanning))) return false;
+  if (f.from || f.to) {
+    const quarter = parsePeriod(tx.Period);
+    if (!quarter || (f.from && quarter < f.from) || (f.to && quarter > f.to)) return false;
+  }
+  if (f.priceMin != null || f.priceMax != null) {
+    if (!(tx.TradePrice > 0)) return false;
+    const man = tx.TradePrice / 10000;
+    if ((f.priceMin != null && man < f.priceMin) || (f.priceMax != null && man > f.priceMax)) return false;
+  }
+  if (f.areaMin != null || f.areaMax != null) {
+    if (!(tx.Area > 0)) return false;
+    if ((f.areaMin != null && tx.Area < f.areaMin) || (f.areaMax != null && tx.Area > f.areaMax)) return false;
+  }
+  if (f.walkMax != null) {
+    const walk = parseWalkMinutes(tx.DistanceToStation);
+    if (walk == null || walk > f.walkMax) return false;
+  }
+  return true;
+}
+
+function parseList(value, allowed) {
+  return String(value || '').split(',').filter(v => allowed.some(a => a.key === v));
+}
+
+function parseRange(value) {
+  const m = String(value || '').match(/^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/);
+  if (!m) return [null, null];
+  return [m[1] != null ? Number(m[1]) : null, m[2] != null ? Number(m[2]) : null];
+}
+
+/**
+ * URL のクエリからフィルターを読む（不正な値は無視）
+ * @param {URLSearchParams} params
+ * @returns {ReturnType<typeof emptyTxFilter>}
+ */
+export function txFilterFromParams(params) {
+  const f = emptyTxFilter();
+  f.types = parseList(params.get('tx_type'), TX_FILTER_TYPES);
+  f.zonings = parseList(params.get('tx_zone'), TX_FILTER_ZONINGS);
+  const from = params.get('tx_from'), to = params.get('tx_to');
+  if (QUARTER_RE.test(from || '')) f.from = from;
+  if (QUARTER_RE.test(to || '')) f.to = to;
+  [f.priceMin, f.priceMax] = parseRange(params.get('tx_price'));
+  [f.areaMin, f.areaMax] = parseRange(params.get('tx_area'));
+  const walk = parseInt(params.get('tx_walk'), 10);
+  if (walk > 0) f.walkMax = walk;
+  return f;
+}
+
+/**
+ * フィルターを URL のクエリに書く（tx_ 以外のキーはそのまま残す）
+ * @param {ReturnType<typeof emptyTxFilter>} f
+ * @param {URLSearchParams} params - 書き換える対象
+ * @returns {URLSearchParams}
+ */
+export function txFilterToParams(f, params) {
+  const range = (min, max) => (min != null || max != null) ? `${min ?? ''}-${max ?? ''}` : null;
+  const values = {
+    tx_type: f.types.join(',') || null,
+    tx_from: f.from,
+    tx_to: f.to,
+    tx_price: range(f.priceMin, f.priceMax),
+    tx_area: range(f.areaMin, f.areaMax),
+    tx_zone: f.zonings.join(',') || null,
+    tx_walk: f.walkMax != null ? String(f.walkMax) : null,
+  };
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null) params.delete(key);
+    else params.set(key, value);
+  }
+  return params;
+}
+
+/**
+ * 条件の要約（「土地・2023Q1〜・〜3000万円」）。条件なしは空文字
+ * @param {ReturnType<typeof emptyTxFilter>} f
+ * @returns {string}
+ */
+export function describeTxFilter(f) {
+  const range = (min, max, unit) => (min != null || max != null) ? `${min ?? ''}〜${max ?? ''}${unit}` : null;
+  return [
+    f.types.map(k => TX_FILTER_TYPES.find(t => t.key === k).label).join('・') || null,
+    (f.from || f.to) ? `${f.from || ''}〜${f.to || ''}` : null,
+    range(f.priceMin, f.priceMax, '万円'),
+    range(f.areaMin, f.areaMax, '㎡'),
+    f.zonings.map(k => TX_FILTER_ZONINGS.find(z => z.key === k).label).join('・') || null,
+    f.walkMax != null ? `徒歩${f.walkMax}分以内` : null,
+  ].filter(Boolean).join(' / ');
+}
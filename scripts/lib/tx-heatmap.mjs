@@ -0,0 +1,105 @@
+/**
+ * 取引の㎡単価ヒートマップ（格子集計）
+ * エリアページにインライン展開し、地図の 🌡️ ㎡単価 モードで使う。
+ *
+ * 取引の位置を地図のズームに応じた格子に集め、各セルの値を「自セル（重み1）と隣接8セル（重み0.5）の
+ * 取引の㎡単価の幾何平均」とする。取引の無いセルも隣に取引があれば薄く塗り（support が小さいほど薄い）、
+ * 点の密度ではなく価格の面として見せる（密度型のヒートマップだと件数の多い地区ほど高く見えるため）。
+ * 中古マンション等は面積が専有面積で土地の㎡単価と比べられないので使わない。
+ */
+
+/** ㎡単価の色帯（円/㎡、上限未満。最後は上限なし） */
+export const HEAT_BANDS = [
+  { max: 20000, color: '#2563eb', label: '〜2万' },
+  { max: 40000, color: '#06b6d4', label: '2〜4万' },
+  { max: 60000, color: '#22c55e', label: '4〜6万' },
+  { max: 90000, color: '#eab308', label: '6〜9万' },
+  { max: 130000, color: '#f97316', label: '9〜13万' },
+  { max: Infinity, color: '#dc2626', label: '13万〜' },
+];
+
+const HEAT_CELL_PX = 28;               // セルの画面上の大きさ（px）
+const NEIGHBOR_WEIGHT = 0.5;
+
+/**
+ * ㎡単価の色
+ * @param {number} perM2 - 円/㎡
+ * @returns {string}
+ */
+export function heatColor(perM2) {
+  return HEAT_BANDS.find(b => perM2 < b.max).color;
+}
+
+/**
+ * ヒートマップに使える取引の㎡単価（使えない取引は null）
+ * @param {object} tx
+ * @returns {number|null}
+ */
+export function heatValue(tx) {
+  if (tx.Type === '中古マンション等' || !(tx.TradePrice > 0) || !(tx.Area > 0)) return null;
+  return tx.TradePrice / tx.Area;
+}
+
+/**
+ * ズームに応じたセルの大きさ（度）。経度は Web メルカトルの 1px あたりの度数、緯度は基準緯度で縮める
+ * @param {number} zoom
+ * @param {number} refLat
+ * @returns {{ lat: number, lng: number }}
+ */
+export function heatCellSize(zoom, refLat) {
+  const lng = HEAT_CELL_PX * 360 / (256 * 2 ** zoom);
+  return { lat: lng * Math.cos(refLat * Math.PI / 180), lng };
+}
+
+/**
+ * 点を格子に集めてセルごとの㎡単価を出す
+ * @param {Array<{ lat: number, lng: number, value: number }>} points - value は円/㎡
+ * @param {{ lat: number, lng: number }} cell - heatCellSize()
+ * @returns {Array<{ bounds: [[number, number], [number, number]], value: number, count: number, support: number }>}
+ *   support は重みの合計（自セルに1件で1、隣だけなら0.5刻み）
+ */
+export function buildHeatGrid(points, cell) {
+  const cells = new Map();
+  for (const p of points) {
+    if (!(p.value > 0)) continue;
+    const i = Math.floor(p.lat / cell.lat), j = Math.floor(p.lng / cell.lng);
+    const key = `${i},${j}`;
+    const c = cells.get(key) || { i, j, logSum: 0, count: 0 };
+    c.logSum += Math.log(p.value);
+    c.count++;
+    cells.set(key, c);
+  }
+
+  const targets = new Map();
+  for (const c of cells.values()) {
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        const key = `${c.i + di},${c.j + dj}`;
+        if (!targets.has(key)) targets.set(key, { i: c.i + di, j: c.j + dj });
+      }
+    }
+  }
+
+  const out = [];
+  for (const t of targets.values()) {
+    let wSum = 0, wLog = 0, count = 0;
+    for (let di = -1; di <= 1; di++) {
+      for (let dj = -1; dj <= 1; dj++) {
+        const c = cells.get(`${t.i + di},${t.j + dj}`);
+        if (!c) continue;
+        const w = di === 0 && dj === 0 ? 1 : NEIGHBOR_WEIGHT;
+        wSum += w * c.count;
+        wLog += w * c.logSum;
+        if (di === 0 && dj === 0) count = c.count;
+      }
+    }
+    if (wSum === 0) continue;
+    out.push({
+      bounds: [[t.i * cell.lat, t.j * cell.lng], [(t.i + 1) * cell.lat, (t.j + 1) * cell.lng]],
+      value: Math.round(Math.exp(wLog / wSum)),
+      count,
+      support: wSum,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,186 @@
+/**
+ * 正規化済み取引データのスキーマ検証とサニティゲート
+ * fetch-data.mjs が live-data.json を書き出す前に実行し、
+ * 0件・NaN・1円取引のような異常データの公開を防ぐ。
+ * 価格・面積が読めない値は normalizeTransaction が null にするので、null の割合も市町ごとに見る。
+ * 面積の上限値（9999㎡など、trade-quality.mjs の isCappedArea）は範囲外に数えず件数だけ報告する。
+ */
+
+import { isCappedArea } from './trade-quality.mjs';
+
+// ============================================================
+// スキーマ（normalizeTransaction の出力レコード）
+// ============================================================
+
+/** フィールド定義: type = 'integer' | 'number' | 'string', nullable = null許容 */
+export const TRANSACTION_SCHEMA = {
+  TradePrice:        { type: 'integer', nullable: true },
+  Type:              { type: 'string', required: true },
+  Area:              { type: 'number', nullable: true },
+  FloorPlan:         { type: 'string' },
+  BuildingYear:      { type: 'string' },
+  NearestStation:    { type: 'string' },
+  DistanceToStation: { type: 'string' },
+  Use:               { type: 'string' },
+  District:          { type: 'string' },
+  Structure:         { type: 'string' },
+  CityPlanning:      { type: 'string' },
+  Period:            { type: 'string', required: true, pattern: /^\d{4}年第[1-4]四半期$/ },
+};
+
+/** 閾値の既定値 */
+export const DEFAULT_GATES = {
+  minTradesPerCity: 20,          // 1都市あたりの最低取引件数
+  maxDropPct: 30,                // 前回データからの件数減少率の上限（%）
+  price: { min: 10000, max: 5000000000 },  // 取引価格の妥当範囲（円）
+  area: { min: 10, max: 8000 },            // 面積の妥当範囲（㎡、上限値 8888・9999 は別扱い）
+  maxOutOfRangePct: 5,           // 範囲外レコードの許容割合（%）
+  maxNullPct: { TradePrice: 10, Area: 10 },  // 価格・面積が null（読めない値）のレコードの許容割合（%）
+};
+
+// ============================================================
+// レコード検証
+// ============================================================
+
+function checkType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === 'string';
+}
+
+/**
+ * 1レコードをスキーマに照らして検証
+ * @param {object} record
+ * @returns {string[]} エラーメッセージ（空配列なら正常）
+ */
+export function validateRecord(record) {
+  const errors = [];
+  if (!record || typeof record !== 'object') return ['レコードがオブジェクトではありません'];
+
+  for (const [field, rule] of Object.entries(TRANSACTION_SCHEMA)) {
+    const value = record[field];
+    if (value === undefined) {
+      errors.push(`${field}: フィールドがありません`);
+      continue;
+    }
+    if (value === null) {
+      if (!rule.nullable) errors.push(`${field}: null は許可されていません`);
+      continue;
+    }
+    if (!checkType(value, rule.type)) {
+      errors.push(`${field}: ${rule.type} ではありません (${typeof value === 'string' ? JSON.stringify(value) : String(value)})`);
+      continue;
+    }
+    if (rule.required && value === '') errors.push(`${field}: 空文字です`);
+    if (rule.pattern && value !== '' && !rule.pattern.test(value)) {
+      errors.push(`${field}: 形式が不正です (${value})`);
+    }
+  }
+  return errors;
+}
+
+function isOutOfRange(record, gates) {
+  const { TradePrice, Area } = record;
+  if (TradePrice != null && (TradePrice < gates.price.min || TradePrice > gates.price.max)) return true;
+  if (Area != null && !isCappedArea(Area) && (Area < gates.area.min || Area > gates.area.max)) return true;
+  return false;
+}
+
+// ============================================================
+// データセット検証
+// ============================================================
+
+/**
+ * live-data.json 形式のデータセットを検証
+ * @param {{ areas: object }} result - 今回の結果
+ * @param {{ areas: object }|null} previous - 前回の live-data.json（無ければ null）
+ * @param {object} [gates] - DEFAULT_GATES の上書き（maxNullPct などネストした値は丸ごと置き換え）
+ * ストアにも前回データにも無い市町（追加直後でまだ 1 件も取得できていない）は検証せず skipped に入れる。
+ * @returns {{ ok: boolean, errors: string[], warnings: string[], cities: object, skipped: string[] }}
+ */
+export function validateDataset(result, previous, gates = {}) {
+  const g = { ...DEFAULT_GATES, ...gates };
+  const errors = [];
+  const warnings = [];
+  const cities = {};
+  const skipped = [];
+
+  for (const [id, area] of Object.entries(result.areas)) {
+    const label = `${area.name} (${id})`;
+    const txs = area.transactions || [];
+
+    // 追加直後の市町（取得 0 件かつ前回データなし）は公開対象から外す
+    if (txs.length === 0 && !previous?.areas?.[id]) {
+      warnings.push(`${label}: 取引データ未取得（前回データなし）のため検証せず公開対象から除外`);
+      skipped.push(id);
+      continue;
+    }
+
+    // スキーマ
+    const schemaErrors = [];
+    txs.forEach((t, i) => {
+      for (const msg of validateRecord(t)) schemaErrors.push(`#${i} ${msg}`);
+    });
+    if (schemaErrors.length > 0) {
+      errors.push(`${label}: スキーマ違反 ${schemaErrors.length}件（例: ${schemaErrors.slice(0, 3).join(' / ')}）`);
+    }
+
+    // 最低件数
+    if (txs.length < g.minTradesPerCity) {
+      errors.push(`${label}: 取引件数 ${txs.length}件 < 最低 ${g.minTradesPerCity}件`);
+    }
+
+    // 前回比の減少率
+    const prevCount = previous?.areas?.[id]?.transactionCount;
+    let dropPct = null;
+    if (prevCount) {
+      dropPct = Math.round((prevCount - txs.length) / prevCount * 1000) / 10;
+      if (dropPct > g.maxDropPct) {
+        errors.push(`${label}: 取引件数が前回 ${prevCount}件 → ${txs.length}件（-${dropPct}%）に減少（上限 ${g.maxDropPct}%）`);
+      }
+    }
+
+    // 価格・面積の妥当範囲
+    const outOfRange = txs.filter(t => isOutOfRange(t, g)).length;
+    const outOfRangePct = txs.length > 0 ? Math.round(outOfRange / txs.length * 1000) / 10 : 0;
+    if (outOfRangePct > g.maxOutOfRangePct) {
+      errors.push(`${label}: 価格・面積が範囲外のレコード ${outOfRange}件（${outOfRangePct}%、上限 ${g.maxOutOfRangePct}%）`);
+    } else if (outOfRange > 0) {
+      warnings.push(`${label}: 価格・面積が範囲外のレコード ${outOfRange}件（${outOfRangePct}%）`);
+    }
+
+    // 価格・面積が null の割合（全件 NaN のような取得・パースの異常）
+    const nulls = {};
+    for (const [field, maxPct] of Object.entries(g.maxNullPct)) {
+      nulls[field] = txs.filter(t => t[field] == null).length;
+      const pct = txs.length > 0 ? Math.round(nulls[field] / txs.length * 1000) / 10 : 0;
+      if (pct > maxPct) {
+        errors.push(`${label}: ${field} が null のレコード ${nulls[field]}件（${pct}%、上限 ${maxPct}%）`);
+      }
+    }
+
+    const cappedArea = txs.filter(t => isCappedArea(t.Area)).length;
+    if (cappedArea > 0) warnings.push(`${label}: 面積が上限値のレコード ${cappedArea}件（集計からは外れ値として除外）`);
+
+    cities[id] = { count: txs.length, prevCount: prevCount ?? null, dropPct, schemaErrors: schemaErrors.length, outOfRange, nulls, cappedArea };
+  }
+
+  return { ok: errors.length === 0, errors, warnings, cities, skipped };
+}
+
+/**
+ * 検証結果を人が読めるレポート文字列に整形
+ * @param {{ ok: boolean, errors: string[], warnings: string[], cities: object }} report
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const lines = [report.ok ? '✅ データ検証: OK' : '❌ データ検証: NG'];
+  for (const [id, c] of Object.entries(report.cities)) {
+    const prev = c.prevCount != null ? ` (前回 ${c.prevCount}件)` : '';
+    const nulls = Object.entries(c.nulls).map(([field, n]) => `${field} null ${n}件`).join(', ');
+    lines.push(`   ${id}: ${c.count}件${prev}, スキーマ違反 ${c.schemaErrors}件, 範囲外 ${c.outOfRange}件, ${nulls}, 面積上限値 ${c.cappedArea}件`);
+  }
+  for (const e of report.errors) lines.push(`  ❌ ${e}`);
+  for (const w of report.warnings) lines.push(`  ⚠️ ${w}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * ローカル用 MCP サーバー（REINFOLIB のスタンドイン）
+ * ネットワークなしで fetch-data.mjs とエリアページの MCP 経路を動かすための開発用サーバー。
+ *
+ * Streamable HTTP の initialize / notifications/initialized / tools/list / tools/call を実装し、
+ * reinfolib-real-estate-price・reinfolib-city-list・reinfolib-land-price-point は
+ * scripts/fixtures/reinfolib/ の記録済み JSON をそのまま返す（フィクスチャの無い期間は空）。
+ *
+ * 使い方:
+ *   node scripts/mock-mcp-server.mjs [--port=8787]
+ *   MCP_PROXY_URL= MCP_REINFO_URL=http://localhost:8787/mcp node scripts/fetch-data.mjs
+ *   MCP_PROXY_URL= MCP_REINFO_URL=http://localhost:8787/mcp node scripts/fetch-land-price.mjs --source=mcp
+ *   MCP_PROXY_URL= MCP_REINFO_URL=http://localhost:8787/mcp node scripts/build-pages.mjs
+ *
+ * フィクスチャ:
+ *   city-list.json                    - reinfolib-city-list の応答（{ data: [{ id, name }] }）
+ *   price/{cityCode}/{YYYY}Q{q}.json  - reinfolib-real-estate-price の応答（{ status, data: [...] }）
+ *   land-price/{cityCode}/{YYYY}.json - reinfolib-land-price-point の応答（GeoJSON FeatureCollection）
+ */
+
+import { createServer } from 'http';
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = join(__dirname, 'fixtures', 'reinfolib');
+
+const portArg = process.argv.find(a => a.startsWith('--port='));
+const PORT = portArg ? parseInt(portArg.slice(7), 10) : parseInt(process.env.PORT || '8787', 10);
+
+const TOOLS = [
+  {
+    name: 'get-time',
+    description: '現在時刻を返す',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'reinfolib-real-estate-price',
+    description: '不動産取引価格情報（フィクスチャ）',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        year: { type: 'string' },
+        quarter: { type: 'string' },
+        area: { type: 'string' },
+        city: { type: 'string' },
+      },
+      required: ['year'],
+    },
+  },
+  {
+    name: 'reinfolib-land-price-point',
+    description: '地価公示・地価調査ポイント（フィクスチャ）',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        year: { type: 'string' },
+        area: { type: 'string' },
+        city: { type: 'string' },
+      },
+      required: ['year'],
+    },
+  },
+  {
+    name: 'reinfolib-city-list',
+    description: '市区町村一覧（フィクスチャ）',
+    inputSchema: { type: 'object', properties: { area: { type: 'string' } }, required: ['area'] },
+  },
+];
+
+const sessions = new Set();
+
+// ============================================================
+// フィクスチャ読み込み
+// ============================================================
+function readFixture(...parts) {
+  const path = join(FIXTURE_DIR, ...parts);
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+function priceFixture({ year, quarter, city }) {
+  if (!city || !year) return { status: 'OK', data: [] };
+  // quarter 省略時はその年の全四半期を結合（ブラウザの概要取得と同じ挙動）
+  if (quarter) return readFixture('price', city, `${year}Q${quarter}.json`) || { status: 'OK', data: [] };
+
+  const dir = join(FIXTURE_DIR, 'price', city);
+  const data = existsSync(dir)
+    ? readdirSync(dir)
+        .filter(f => f.startsWith(`${year}Q`))
+        .sort()
+        .flatMap(f => readFixture('price', city, f).data)
+    : [];
+  return { status: 'OK', data };
+}
+
+function landPriceFixture({ year, city }) {
+  const empty = { type: 'FeatureCollection', features: [] };
+  if (!city || !year) return empty;
+  return readFixture('land-price', city, `${year}.json`) || empty;
+}
+
+function toolResult(payload) {
+  return { content: [{ type: 'text', text: JSON.stringify(payload) }] };
+}
+
+function callTool(name, args = {}) {
+  switch (name) {
+    case 'get-time':
+      return toolResult({ now: new Date().toISOString() });
+    case 'reinfolib-real-estate-price':
+      return toolResult(priceFixture(args));
+    case 'reinfolib-land-price-point':
+      return toolResult(landPriceFixture(args));
+    case 'reinfolib-city-list':
+      return toolResult(readFixture('city-list.json') || { data: [] });
+    default:
+      return null;
+  }
+}
+
+// ============================================================
+// JSON-RPC
+// ============================================================
+function handleRpc(msg) {
+  const { id, method, params } = msg;
+  switch (method) {
+    case 'initialize':
+      return {
+        jsonrpc: '2.0', id,
+        result: {
+          protocolVersion: params?.protocolVersion || '2025-03-26',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'mock-reinfolib', version: '1.0.0' },
+        },
+      };
+    case 'tools/list':
+      return { jsonrpc: '2.0', id, result: { tools: TOOLS } };
+    case 'tools/call': {
+      const result = callTool(params?.name, params?.arguments);
+      if (!result) return { jsonrpc: '2.0', id, error: { code: -32602, message: `Unknown tool: ${params?.name}` } };
+      return { jsonrpc: '2.0', id, result };
+    }
+    default:
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+  }
+}
+
+// ============================================================
+// HTTP
+// ============================================================
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, GET, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+};
+
+const server = createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method === 'DELETE') {
+    sessions.delete(req.headers['mcp-session-id']);
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, CORS_HEADERS);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let msg;
+    try {
+      msg = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+    }
+
+    const headers = { ...CORS_HEADERS };
+    if (msg.method === 'initialize') {
+      const sid = randomUUID();
+      sessions.add(sid);
+      headers['Mcp-Session-Id'] = sid;
+    } else if (!sessions.has(req.headers['mcp-session-id'])) {
+      // 本番サーバーと同様、不明なセッションは 404
+      res.writeHead(404, { ...headers, 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ jsonrpc: '2.0', id: msg.id ?? null, error: { code: -32001, message: 'Session not found' } }));
+    }
+
+    // 通知には 202 のみ返す
+    if (msg.id === undefined) {
+      res.writeHead(202, headers);
+      return res.end();
+    }
+
+    const reply = handleRpc(msg);
+    console.log(`${msg.method}${msg.params?.name ? ` ${msg.params.name} ${JSON.stringify(msg.params.arguments || {})}` : ''}`);
+
+    if ((req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+      return res.end(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+    }
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock MCP server listening on http://localhost:${PORT}/mcp`);
+  console.log(`Fixtures: ${FIXTURE_DIR}`);
+});
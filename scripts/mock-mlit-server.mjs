@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * ローカル用 GraphQL サーバー（MLIT データプラットフォームのスタンドイン）
+ * API キーやネットワークなしで fetch-mlit-data.mjs の集計と data/mlit-hazard.json を再生成するための開発用サーバー。
+ *
+ * POST されたクエリを lib/mlit-cache.mjs と同じキーで引き、保存済みの search 応答をそのまま返す。
+ * 保存の無いクエリは 0 件の search 結果を返す（存在しないデータセットと同じ扱い）。
+ *
+ * 既定の scripts/fixtures/mlit は手で作った合成データ（"synthetic": true）で、実 API の記録ではない。
+ * 集計・再試行・--resume の経路を通すためのもので、施設の件数や座標は実際の三重県と一致しない
+ * （学校と公園が全市町で同じ件数など）。ここから作った mlit-hazard.json は公開しない。
+ *
+ * 使い方:
+ *   node scripts/mock-mlit-server.mjs [--port=8788] [--dir=data/mlit-cache] [--fail-every=N]
+ *   MLIT_BASE_URL=http://localhost:8788/ node scripts/fetch-mlit-data.mjs
+ *
+ *   --dir         記録の置き場所（既定は scripts/fixtures/mlit）。本番取得のキャッシュ data/mlit-cache も指定可
+ *   --fail-every  N 回に1回 503 を返す（再試行・--resume の確認用）
+ *
+ * 実 API の記録で置き換える（置き換えたファイルには recordedAt が入り synthetic は付かない）:
+ *   MLIT_API_KEY=xxx MLIT_CACHE_DIR=scripts/fixtures/mlit node scripts/fetch-mlit-data.mjs
+ */
+
+import { createServer } from 'http';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { mlitPageKey, readMlitPage } from './lib/mlit-cache.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function argValue(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+const PORT = parseInt(argValue('port') || process.env.PORT || '8788', 10);
+const FIXTURE_DIR = argValue('dir') ? resolve(argValue('dir')) : join(__dirname, 'fixtures', 'mlit');
+const FAIL_EVERY = parseInt(argValue('fail-every') || '0', 10);
+
+const EMPTY_SEARCH = { search: { totalNumber: 0, searchResults: [] } };
+
+let requestCount = 0;
+
+const server = createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requestCount++;
+    if (FAIL_EVERY > 0 && requestCount % FAIL_EVERY === 0) {
+      console.log(`#${requestCount} 503 (--fail-every=${FAIL_EVERY})`);
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      return res.end('Service Unavailable (mock)');
+    }
+
+    let query;
+    try {
+      query = JSON.parse(body).query;
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ errors: [{ message: 'Invalid JSON body' }] }));
+    }
+    if (typeof query !== 'string') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ errors: [{ message: 'Missing query' }] }));
+    }
+
+    const data = readMlitPage(FIXTURE_DIR, query);
+    console.log(`#${requestCount} ${mlitPageKey(query)} ${data ? 'hit' : 'miss (empty)'}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: data || EMPTY_SEARCH }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock MLIT GraphQL server listening on http://localhost:${PORT}/`);
+  console.log(`Recorded pages: ${FIXTURE_DIR}`);
+});
@@ -0,0 +1,43 @@
+/**
+ * commute.mjs の住所の勤務先のテスト（駅マスタは data/stations.json）
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { addressCommuteDestination, addressDestinationId, parseAddressDestinationId, trainCommuteMinutes } from '../lib/commute.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const { stations } = JSON.parse(readFileSync(join(ROOT, 'data', 'stations.json'), 'utf-8'));
+const findStation = name => stations.find(s => s.name === name) || null;
+
+test('駅の近くの住所は最寄駅で降りて徒歩', () => {
+  const near = findStation('近鉄四日市');
+  const dest = addressCommuteDestination({ label: '四日市市諏訪町', lat: near.lat + 0.003, lng: near.lng }, stations);
+  assert.equal(dest.egressMode, 'walk');
+  assert.equal(dest.hub, null);
+  assert.ok(dest.egressMin > 0 && dest.egressMin <= 20, `${dest.egressMin}`);
+  const minutes = trainCommuteMinutes({ station: findStation('桑名'), walkMin: 10 }, dest, findStation);
+  assert.ok(minutes > 10 + dest.egressMin, `${minutes}`);
+});
+
+test('駅から遠い住所は車の分、名古屋駅に近い住所は名古屋駅で降りる', () => {
+  const far = addressCommuteDestination({ label: '菰野町千草', lat: 35.05, lng: 136.45 }, stations);
+  assert.equal(far.egressMode, 'car');
+  assert.ok(far.egressMin > 5);
+
+  const nagoya = addressCommuteDestination({ label: '名古屋市中村区名駅', lat: 35.1730, lng: 136.8840 }, stations);
+  assert.equal(nagoya.hub, 'nagoya');
+  assert.equal(nagoya.station, null);
+  assert.equal(nagoya.egressMode, 'walk');
+});
+
+test('住所の id は座標とラベルを往復できる', () => {
+  const id = addressDestinationId({ label: '鈴鹿市白子駅前', lat: 34.8281, lng: 136.5862 });
+  assert.equal(id, 'address:34.82810,136.58620:鈴鹿市白子駅前');
+  assert.deepEqual(parseAddressDestinationId(id), { label: '鈴鹿市白子駅前', lat: 34.8281, lng: 136.5862 });
+  assert.equal(parseAddressDestinationId('station:津'), null);
+});
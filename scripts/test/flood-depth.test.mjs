@@ -0,0 +1,34 @@
+/**
+ * flood-depth.mjs の浸水深別面積割合のテスト
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFloodDepthFeature, summarizeCityFloodDepth } from '../lib/flood-depth.mjs';
+import { parsePolygonGeometry, geometryBBox } from '../lib/geo.mjs';
+
+const square = (west, south, east, north) => ({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+});
+
+// 同じ範囲に2河川のランク2区域が重なる（西半分）
+const zones = ['員弁川', '朝明川'].map(river => normalizeFloodDepthFeature({
+  type: 'Feature',
+  properties: { A31a_205: 2, A31a_103: river },
+  geometry: square(136.60, 35.00, 136.65, 35.05),
+}));
+
+test('行政区域があれば重なった区域を二重に数えない', () => {
+  const geometry = parsePolygonGeometry(square(136.60, 35.00, 136.70, 35.05));
+  const d = summarizeCityFloodDepth(zones, { boundary: [{ geometry, bbox: geometryBBox(geometry) }] });
+  assert.equal(d.method, 'grid');
+  assert.ok(Math.abs(d.shares['0.5-3'] - 0.5) < 0.05);
+  assert.equal(d.inundatedShare, d.shares['0.5-3']);
+});
+
+test('行政区域が無ければスコアを出さない', () => {
+  assert.equal(summarizeCityFloodDepth(zones, { boundary: null }), null);
+  assert.equal(summarizeCityFloodDepth(zones, { boundary: [] }), null);
+});
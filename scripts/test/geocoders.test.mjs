@@ -0,0 +1,27 @@
+/**
+ * geocoders.mjs の応答判定・タイムアウトのテスト
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { geocodeGSI, matchConfidence } from '../lib/geocoders.mjs';
+
+test('matchConfidence: 市町名 + 地区名 / 地区名のみ / 含まない', () => {
+  assert.equal(matchConfidence('三重県四日市市曙町', '四日市市', '曙町'), 'high');
+  assert.equal(matchConfidence('曙町, 四日市, 三重県', '四日市市', '曙町'), 'medium');
+  assert.equal(matchConfidence('三重県四日市市', '四日市市', '曙町'), 'low');
+});
+
+test('応答の無いサーバーは timeoutMs で打ち切る', async () => {
+  const server = createServer(() => { /* never respond */ });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/search`;
+  try {
+    await assert.rejects(geocodeGSI('曙町', { baseUrl, timeoutMs: 200 }), /タイムアウト/);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,63 @@
+/**
+ * hedonic.mjs のテスト（合成の2市町）
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitHedonicModel, TSUBO_M2 } from '../lib/hedonic.mjs';
+
+// 面積は 50坪前後で対称にばらつかせ、坪単価は地区ごとに一定（±10% の揺れは面積と無相関）
+const TSUBOS = [40, 45, 50, 55, 60];
+
+const sample = (cityId, district, tsuboPrice, tsubo, cityPlanning) => ({
+  cityId,
+  districtKey: `${cityId}-${district}`,
+  tx: {
+    TradePrice: Math.round(tsuboPrice * tsubo), Type: '宅地(土地)', Area: tsubo * TSUBO_M2, BuildingYear: '',
+    DistanceToStation: '10', CityPlanning: cityPlanning, Period: '2024年第4四半期',
+  },
+});
+
+// 町A: 全件が都市計画区域外で坪4万円。市B: 住居系で坪15万円の地区4つ ± 10%
+function syntheticSamples() {
+  const samples = [];
+  for (const district of ['a1', 'a2']) {
+    for (const tsubo of TSUBOS) samples.push(sample('townA', district, 40000, tsubo, '都市計画区域外'));
+  }
+  for (const district of ['b1', 'b2', 'b3', 'b4']) {
+    TSUBOS.forEach((tsubo, i) => {
+      for (const f of [0.9, 1.1]) samples.push(sample('cityB', district, 150000 * (i % 2 ? f : 2 - f), tsubo, '第一種住居地域'));
+    });
+  }
+  return samples;
+}
+
+const median = values => {
+  const s = [...values].sort((a, b) => a - b);
+  return s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2;
+};
+
+test('用途地域が1種類の市町は、標準区画の坪単価がその市町の中央値になる', () => {
+  const samples = syntheticSamples();
+  const { cities } = fitHedonicModel(samples);
+  const townMedian = median(samples.filter(s => s.cityId === 'townA').map(s => s.tx.TradePrice / s.tx.Area * TSUBO_M2));
+  assert.equal(cities.townA.zoning, 'outsidePlanning');
+  assert.ok(Math.abs(cities.townA.tsuboPrice - townMedian) / townMedian < 0.02, `${cities.townA.tsuboPrice} vs ${townMedian}`);
+  assert.equal(cities.cityB.zoning, 'residential');
+  assert.ok(Math.abs(cities.cityB.tsuboPrice - 150000) / 150000 < 0.05, `${cities.cityB.tsuboPrice}`);
+});
+
+test('3件の地区は最低件数未満で出さず、出す場合も市町の水準へ縮める', () => {
+  const samples = syntheticSamples();
+  for (const tsubo of [45, 50, 55]) samples.push(sample('cityB', 'hot', 300000, tsubo, '第一種住居地域'));
+
+  assert.equal(fitHedonicModel(samples).districts['cityB-hot'], undefined);
+
+  const { cities, districts, model } = fitHedonicModel(samples, { minDistrictTrades: 3 });
+  const hot = districts['cityB-hot'];
+  assert.equal(hot.n, 3);
+  assert.ok(model.districtShrinkage.k > 0);
+  assert.ok(hot.tsuboPrice > cities.cityB.tsuboPrice, `${hot.tsuboPrice} > ${cities.cityB.tsuboPrice}`);
+  assert.ok(hot.tsuboPrice < 300000 * 0.95, `${hot.tsuboPrice} < 300000`);
+});
@@ -0,0 +1,36 @@
+/**
+ * land-price.mjs の集計・タイルのテスト
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCityLandPrices, tilesForArea, TSUBO_M2 } from '../lib/land-price.mjs';
+
+const pt = (pointId, year, use, price) => ({ pointId, survey: 'koji', year, cityCode: '24202', use, price, lat: null, lng: null });
+
+test('坪単価・前年比・推移は同じ住宅地ポイントで集計（商業地は平均地価だけに入る）', () => {
+  const points = [
+    pt('住-1', 2024, '住宅', 40000), pt('住-1', 2025, '住宅', 42000),
+    pt('商-1', 2024, '商業', 200000), pt('商-1', 2025, '商業', 260000),
+  ];
+  const s = summarizeCityLandPrices(points, [2024, 2025]);
+  assert.equal(s.residentialPrice, 42000);
+  assert.equal(s.pricePerTsubo, Math.round(42000 * TSUBO_M2));
+  assert.equal(s.yoyChange, 5);
+  assert.deepEqual(s.trend, [{ y: '2024', p: 40000 }, { y: '2025', p: 42000 }]);
+  assert.equal(s.landPriceAvg, 151000);
+});
+
+test('住宅地ポイントが無ければ全用途で代用', () => {
+  const s = summarizeCityLandPrices([pt('商-1', 2024, '商業', 100000), pt('商-1', 2025, '商業', 110000)], [2024, 2025]);
+  assert.equal(s.pricePerTsubo, Math.round(110000 * TSUBO_M2));
+  assert.equal(s.yoyChange, 10);
+});
+
+test('tilesForArea: 中心を含み、面積が大きいほどタイルが増える', () => {
+  const small = tilesForArea({ lat: 34.965, lng: 136.6244, areaKm2: 6 });
+  const large = tilesForArea({ lat: 34.7186, lng: 136.5057, areaKm2: 711.18 });
+  assert.ok(small.some(t => t.z === 13 && t.x === 7204 && t.y === 3245));
+  assert.ok(large.length > small.length * 10);
+});
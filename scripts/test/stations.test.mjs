@@ -0,0 +1,38 @@
+/**
+ * stations.mjs の駅名の引き当てのテスト（駅マスタは data/stations.json）
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createStationIndex } from '../lib/stations.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const index = createStationIndex(JSON.parse(readFileSync(join(ROOT, 'data', 'stations.json'), 'utf-8')).stations);
+const nameOf = query => index.find(query)?.name ?? null;
+
+test('駅名・別名は「駅」や括弧書きを除いて完全一致', () => {
+  assert.equal(nameOf('津'), '津');
+  assert.equal(nameOf('津駅'), '津');
+  assert.equal(nameOf('桑名'), '桑名');
+  assert.equal(nameOf('近鉄四日市駅'), '近鉄四日市');
+  assert.equal(nameOf('白子(三重)'), '白子');
+  assert.equal(nameOf('四日市(近鉄)'), '近鉄四日市');
+});
+
+test('部分一致では引き当てない（津 → 津新町、桑名 → 西桑名にならない）', () => {
+  assert.notEqual(nameOf('津'), '津新町');
+  assert.notEqual(nameOf('桑名'), '西桑名');
+  assert.equal(nameOf('白子町'), null);
+  assert.equal(nameOf('津市'), null);
+});
+
+test('前方一致は候補が1駅のときだけ', () => {
+  assert.equal(nameOf('湯の山'), '湯の山温泉');
+  assert.equal(nameOf('鈴鹿サーキット'), '鈴鹿サーキット稲生');
+  assert.equal(nameOf('伊勢'), null);
+  assert.equal(nameOf('西'), null);
+});
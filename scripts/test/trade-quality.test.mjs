@@ -0,0 +1,104 @@
+/**
+ * trade-quality.mjs のテスト（亀山市・菰野町の取引は data/live-data.json の実データ、鈴鹿市の区画は合成）
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { classifyTransactions, isCappedArea, TRADE_QUALITY } from '../lib/trade-quality.mjs';
+import { averageTradePrice } from '../lib/transactions.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const row = (fields) => ({
+  FloorPlan: '', BuildingYear: '', NearestStation: '', DistanceToStation: '', Use: '', Structure: '', ...fields,
+});
+
+// 亀山市 安坂山町（都市計画区域外）の実取引
+const KAMEYAMA = [
+  row({ TradePrice: 43000, Type: '宅地(土地)', Area: 9999, District: '安坂山町', CityPlanning: '都市計画区域外', Period: '2020年第4四半期' }),
+  row({ TradePrice: 1600000, Type: '宅地(土地)', Area: 9999, District: '安坂山町', CityPlanning: '都市計画区域外', Period: '2024年第3四半期' }),
+  row({ TradePrice: 800000, Type: '宅地(土地)', Area: 990, District: '安坂山町', CityPlanning: '都市計画区域外', Period: '2024年第4四半期' }),
+  row({ TradePrice: 9900000, Type: '宅地(土地)', Area: 220, Use: '住宅', District: '川合町', CityPlanning: '市街化区域及び市街化調整区域外の都市計画区域', Period: '2024年第4四半期' }),
+];
+
+// 菰野町 大字杉谷の農地（8888㎡は農地・林地の上限値）
+const KOMONO_FARMLAND = row({ TradePrice: 1600000, Type: '農地', Area: 8888, District: '大字杉谷', CityPlanning: '', Period: '2024年第4四半期' });
+
+test('isCappedArea: 9999 以上と 8888 は上限値', () => {
+  assert.equal(isCappedArea(9999), true);
+  assert.equal(isCappedArea(10000), true);
+  assert.equal(isCappedArea(8888), true);
+  assert.equal(isCappedArea(990), false);
+  assert.equal(isCappedArea(null), false);
+});
+
+test('面積が上限値の宅地は outlier、通常の区画は normal', () => {
+  const [capped43k, capped1_6m, lot990, lot220] = classifyTransactions(KAMEYAMA);
+  assert.equal(capped43k.quality, TRADE_QUALITY.outlier);
+  assert.match(capped43k.qualityReason, /上限値/);
+  assert.equal(capped1_6m.quality, TRADE_QUALITY.outlier);
+  assert.equal(lot990.quality, TRADE_QUALITY.normal);
+  assert.equal(lot220.quality, TRADE_QUALITY.normal);
+});
+
+test('農地は面積が上限値でも non-residential', () => {
+  const [t] = classifyTransactions([KOMONO_FARMLAND]);
+  assert.equal(t.quality, TRADE_QUALITY.nonResidential);
+});
+
+test('live-data.json の全市町で面積が上限値の取引は通常扱いにならない', () => {
+  const data = JSON.parse(readFileSync(join(ROOT, 'data', 'live-data.json'), 'utf-8'));
+  for (const [id, area] of Object.entries(data.areas)) {
+    const leaked = classifyTransactions(area.transactions)
+      .filter(t => isCappedArea(t.Area) && t.quality === TRADE_QUALITY.normal);
+    assert.deepEqual(leaked, [], `${id}: 上限値の面積が normal のまま`);
+  }
+});
+
+// 鈴鹿市の住居系の宅地を模した12件（㎡単価 4万〜5.1万円、面積 165〜275㎡）
+const SUZUKA_LOTS = Array.from({ length: 12 }, (_, i) => {
+  const area = 165 + i * 10;
+  return row({ TradePrice: Math.round(area * (40000 + i * 1000) / 10000) * 10000, Type: '宅地(土地)', Area: area, Use: '住宅', District: '白子町', CityPlanning: '第一種住居地域', Period: '2024年第4四半期' });
+});
+
+test('㎡単価が MAD の修正 z 値で大きく外れる取引は outlier、平均取引価格から外れる', () => {
+  const related = row({ ...SUZUKA_LOTS[0], TradePrice: 300000, Area: 200 });
+  const rows = classifyTransactions([...SUZUKA_LOTS, related]);
+  assert.deepEqual(rows.slice(0, -1).map(t => t.quality), SUZUKA_LOTS.map(() => TRADE_QUALITY.normal));
+  const flagged = rows[rows.length - 1];
+  assert.equal(flagged.quality, TRADE_QUALITY.outlier);
+  assert.match(flagged.qualityReason, /㎡単価が相場より低い/);
+
+  assert.equal(averageTradePrice(rows), averageTradePrice(SUZUKA_LOTS));
+  assert.notEqual(averageTradePrice(rows, { includeFlagged: true }), averageTradePrice(rows));
+});
+
+test('面積が大きく上に外れる取引（開発用地）は ㎡単価が相場並みでも outlier', () => {
+  const tract = row({ ...SUZUKA_LOTS[5], TradePrice: 45000 * 6000, Area: 6000 });
+  const rows = classifyTransactions([...SUZUKA_LOTS, tract]);
+  assert.equal(rows[rows.length - 1].quality, TRADE_QUALITY.outlier);
+  assert.match(rows[rows.length - 1].qualityReason, /面積が大きい（6000㎡）/);
+  assert.ok(averageTradePrice(rows) < averageTradePrice(rows, { includeFlagged: true }));
+});
+
+test('種別・用途のキーワード: 農地・林地と住宅を含まない事業用途は non-residential', () => {
+  const base = SUZUKA_LOTS[0];
+  const [forest, office, parking, mixed, house] = classifyTransactions([
+    row({ ...base, Type: '林地' }),
+    row({ ...base, Use: '事務所、倉庫' }),
+    row({ ...base, Use: '駐車場' }),
+    row({ ...base, Use: '住宅、店舗' }),
+    base,
+  ]);
+  assert.equal(forest.quality, TRADE_QUALITY.nonResidential);
+  assert.match(forest.qualityReason, /種別: 林地/);
+  assert.equal(office.quality, TRADE_QUALITY.nonResidential);
+  assert.match(office.qualityReason, /用途: 事務所、倉庫/);
+  assert.equal(parking.quality, TRADE_QUALITY.nonResidential);
+  assert.equal(mixed.quality, TRADE_QUALITY.normal);
+  assert.equal(house.quality, TRADE_QUALITY.normal);
+});
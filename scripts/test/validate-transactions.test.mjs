@@ -0,0 +1,88 @@
+/**
+ * validate-transactions.mjs のゲートのテスト
+ *   node --test scripts/test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { validateRecord, validateDataset } from '../lib/validate-transactions.mjs';
+import { normalizeTransaction } from '../lib/transactions.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const tx = (fields = {}) => ({
+  TradePrice: 20000000, Type: '宅地(土地)', Area: 200, FloorPlan: '', BuildingYear: '', NearestStation: '',
+  DistanceToStation: '', Use: '住宅', District: '川合町', Structure: '', CityPlanning: '第一種住居地域',
+  Period: '2024年第4四半期', ...fields,
+});
+
+const dataset = (transactions) => ({ areas: { kameyama: { name: '亀山市', transactions, transactionCount: transactions.length } } });
+
+test('live-data.json はゲートを通る', () => {
+  const data = JSON.parse(readFileSync(join(ROOT, 'data', 'live-data.json'), 'utf-8'));
+  const report = validateDataset(data, null);
+  assert.deepEqual(report.errors, []);
+});
+
+test('validateRecord: 欠けたフィールド・型違い・Period の形式', () => {
+  assert.deepEqual(validateRecord(tx()), []);
+  assert.match(validateRecord(tx({ TradePrice: 1.5 }))[0], /TradePrice/);
+  const { Use, ...noUse } = tx();
+  assert.match(validateRecord(noUse)[0], /Use: フィールドがありません/);
+  assert.match(validateRecord(tx({ Period: '2024Q4' }))[0], /Period: 形式が不正/);
+});
+
+test('最低件数を下回ると NG', () => {
+  const report = validateDataset(dataset(Array.from({ length: 5 }, () => tx())), null);
+  assert.equal(report.ok, false);
+  assert.match(report.errors[0], /取引件数 5件 < 最低 20件/);
+});
+
+test('追加直後で 0 件の市町は除外、前回データがあれば 0 件は NG', () => {
+  const fresh = validateDataset(dataset([]), null);
+  assert.equal(fresh.ok, true);
+  assert.deepEqual(fresh.skipped, ['kameyama']);
+  const previous = { areas: { kameyama: { transactionCount: 100 } } };
+  const dropped = validateDataset(dataset([]), previous);
+  assert.equal(dropped.ok, false);
+  assert.deepEqual(dropped.skipped, []);
+});
+
+test('前回からの件数減少が上限を超えると NG', () => {
+  const previous = { areas: { kameyama: { transactionCount: 100 } } };
+  const report = validateDataset(dataset(Array.from({ length: 50 }, () => tx())), previous);
+  assert.equal(report.ok, false);
+  assert.match(report.errors[0], /-50%/);
+});
+
+test('面積が全件読めない（NaN → null）と NG', () => {
+  const rows = Array.from({ length: 30 }, () => normalizeTransaction({ ...tx(), Area: '非公開' }));
+  assert.equal(rows[0].Area, null);
+  const report = validateDataset(dataset(rows), null);
+  assert.equal(report.ok, false);
+  assert.ok(report.errors.some(e => /Area が null のレコード 30件/.test(e)));
+});
+
+test('価格の null も割合で判定（上限以下なら OK）', () => {
+  const rows = Array.from({ length: 30 }, (_, i) => tx({ TradePrice: i < 2 ? null : 20000000 }));
+  assert.equal(validateDataset(dataset(rows), null).ok, true);
+  const many = Array.from({ length: 30 }, (_, i) => tx({ TradePrice: i < 10 ? null : 20000000 }));
+  assert.ok(validateDataset(dataset(many), null).errors.some(e => /TradePrice が null/.test(e)));
+});
+
+test('1円取引・範囲外の面積が多いと NG、面積の上限値は範囲外に数えない', () => {
+  const cheap = Array.from({ length: 30 }, (_, i) => tx({ TradePrice: i < 5 ? 1 : 20000000 }));
+  assert.ok(validateDataset(dataset(cheap), null).errors.some(e => /範囲外/.test(e)));
+
+  const huge = Array.from({ length: 30 }, (_, i) => tx({ Area: i < 5 ? 9000 : 200 }));
+  assert.ok(validateDataset(dataset(huge), null).errors.some(e => /範囲外/.test(e)));
+
+  const capped = Array.from({ length: 30 }, (_, i) => tx({ Area: i < 5 ? 9999 : 200 }));
+  const report = validateDataset(dataset(capped), null);
+  assert.equal(report.ok, true);
+  assert.equal(report.cities.kameyama.cappedArea, 5);
+  assert.equal(report.cities.kameyama.outOfRange, 0);
+});
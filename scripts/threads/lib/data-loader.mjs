@@ -7,6 +7,7 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { isFlaggedTransaction } from '../../lib/trade-quality.mjs';
 import { ARUARU_TOPICS, MOMEGOTO_TOPICS, KOUKAI_TOPICS, NEWS_TOPICS, SITE_PR_TOPICS, HIKAKU_TOPICS, KINSHI_TOPICS, GYAKUSETSU_TOPICS } from './config.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -109,7 +110,7 @@ export function getDataTopic(liveData) {
   const tsuboRate = 3.30579;
 
   if (insightType === 'avg_price') {
-    const landOnly = recent.filter(t => t.Type === '宅地(土地)' && t.Area > 0);
+    const landOnly = recent.filter(t => t.Type === '宅地(土地)' && t.Area > 0 && !isFlaggedTransaction(t));
     if (landOnly.length > 0) {
       const avgPricePerTsubo = landOnly.reduce((sum, t) =>
         sum + (t.TradePrice / (t.Area / tsuboRate)), 0) / landOnly.length;
@@ -121,7 +122,7 @@ export function getDataTopic(liveData) {
   }
 
   if (insightType === 'price_range' || !insight) {
-    const withPrice = recent.filter(t => t.TradePrice > 0);
+    const withPrice = recent.filter(t => t.TradePrice > 0 && !isFlaggedTransaction(t));
     if (withPrice.length > 0) {
       const min = Math.min(...withPrice.map(t => t.TradePrice));
       const max = Math.max(...withPrice.map(t => t.TradePrice));